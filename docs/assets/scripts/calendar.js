@@ -0,0 +1,260 @@
+/**
+ * 週間カレンダー
+ *
+ * live_cache.json の配信を7日間グリッドに並べる
+ * - 選択中のタイムゾーン（既定は JST）の日付で区切る
+ * - 月曜始まり
+ * - メンバーごとに色分け
+ * - 時間が重なる配信は同じ枠に積み重ねる
+ */
+
+import { formatDateTime, formatTime, JST_TIME_ZONE } from './video.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 終了時刻が分からない配信の想定時間（ミリ秒）
+ * （重なり判定に使う）
+ */
+const ESTIMATED_DURATION_MS = 2 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 配信の開始時刻（予定 or 実際）
+ * @param {Object} video
+ * @returns {string|null}
+ */
+function getStartTime(video) {
+  return video.scheduledStartTime || video.actualStartTime || null;
+}
+
+/**
+ * タイムゾーン → 日付の取得用フォーマッタ（生成のコストが大きいため使い回す）
+ */
+const dateFormatters = new Map();
+
+/**
+ * 時刻を含む日の通し番号（指定したタイムゾーンの日付の 1970-01-01 からの日数）を返す
+ * （夏時間で1日の長さが変わるタイムゾーンでも日付で区切れるよう、時差ではなく日付で数える）
+ * @param {number} time - UTC ミリ秒
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getDayNumber(time, timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    dateFormatters.get(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value])
+  );
+  return Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / DAY_MS;
+}
+
+/**
+ * 日を含む週の月曜日の通し番号を返す
+ * @param {number} dayNumber - getDayNumber() の結果
+ * @returns {number}
+ */
+function getWeekStart(dayNumber) {
+  const daysFromMonday = (new Date(dayNumber * DAY_MS).getUTCDay() + 6) % 7;
+  return dayNumber - daysFromMonday;
+}
+
+/**
+ * 日付表記（例: "10/20(月)"）
+ * @param {number} dayNumber - getDayNumber() の結果
+ * @returns {string}
+ */
+function formatDay(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return `${date.getUTCMonth() + 1}/${date.getUTCDate()}(${WEEKDAYS[date.getUTCDay()]})`;
+}
+
+/**
+ * 1日分の配信を、時間が重なるものどうしでまとめる
+ * @param {Array<{ start: number, end: number }>} items - 開始時刻順
+ * @returns {Array<Array<Object>>}
+ */
+function groupOverlapping(items) {
+  const groups = [];
+  let groupEnd = -Infinity;
+
+  items.forEach(item => {
+    if (item.start < groupEnd) {
+      groups[groups.length - 1].push(item);
+      groupEnd = Math.max(groupEnd, item.end);
+    } else {
+      groups.push([item]);
+      groupEnd = item.end;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * カレンダーの1配信分の要素を生成
+ * @param {Object} item
+ * @param {string} timeZone
+ * @returns {HTMLElement}
+ */
+function createItem(item, timeZone) {
+  const link = document.createElement('a');
+  link.className = `calendar__item ${item.video.status}`;
+  link.href = item.video.url;
+  link.target = '_blank';
+  link.title = `${item.memberName}\n${item.video.title}\n${formatDateTime(getStartTime(item.video), timeZone)}`;
+  if (item.color) {
+    link.style.setProperty('--member-color', item.color);
+  }
+
+  const time = document.createElement('span');
+  time.className = 'calendar__time';
+  time.textContent = formatTime(getStartTime(item.video), timeZone);
+
+  const member = document.createElement('span');
+  member.className = 'calendar__member';
+  member.textContent = item.memberName;
+
+  const title = document.createElement('span');
+  title.className = 'calendar__title';
+  title.textContent = item.video.title;
+
+  link.append(time, member, title);
+  return link;
+}
+
+/**
+ * 週間カレンダーを生成
+ * @param {HTMLElement} container
+ * @param {Object<string, { name: string, color: string }>} channelData - チャンネルキー → 表示名・色
+ * @param {string} [initialTimeZone] - 日付・時刻の表示に使うタイムゾーン（省略時は JST）
+ * @returns {{ update: (liveJson: Object) => void, setTimeZone: (timeZone: string) => void }}
+ */
+export function createWeekCalendar(container, channelData, initialTimeZone = JST_TIME_ZONE) {
+  let liveJson = null;
+  let weekOffset = 0;
+  let timeZone = initialTimeZone;
+
+  const nav = document.createElement('div');
+  nav.className = 'calendar__nav';
+
+  const prevButton = document.createElement('button');
+  prevButton.type = 'button';
+  prevButton.textContent = '← 前の週';
+
+  const todayButton = document.createElement('button');
+  todayButton.type = 'button';
+  todayButton.textContent = '今週';
+
+  const nextButton = document.createElement('button');
+  nextButton.type = 'button';
+  nextButton.textContent = '次の週 →';
+
+  const label = document.createElement('span');
+  label.className = 'calendar__label';
+
+  nav.append(prevButton, todayButton, nextButton, label);
+
+  const grid = document.createElement('div');
+  grid.className = 'calendar__grid';
+
+  container.textContent = '';
+  container.classList.add('calendar');
+  container.append(nav, grid);
+
+  const render = () => {
+    if (!liveJson) return;
+
+    const today = getDayNumber(Date.now(), timeZone);
+    const weekStart = getWeekStart(today) + weekOffset * 7;
+
+    label.textContent = `${formatDay(weekStart)} 〜 ${formatDay(weekStart + 6)}`;
+
+    // 日ごとに振り分け
+    const days = Array.from({ length: 7 }, () => []);
+    Object.entries(liveJson.channels).forEach(([key, videos]) => {
+      videos.forEach(video => {
+        const startTime = getStartTime(video);
+        if (!startTime) return;
+
+        const start = new Date(startTime).getTime();
+        const dayIndex = getDayNumber(start, timeZone) - weekStart;
+        if (dayIndex < 0 || dayIndex >= 7) return;
+
+        const end = video.actualEndTime
+          ? new Date(video.actualEndTime).getTime()
+          : start + ESTIMATED_DURATION_MS;
+
+        days[dayIndex].push({
+          video,
+          start,
+          end,
+          memberName: channelData[key]?.name ?? key,
+          color: channelData[key]?.color
+        });
+      });
+    });
+
+    grid.textContent = '';
+    days.forEach((items, index) => {
+      const dayNumber = weekStart + index;
+
+      const cell = document.createElement('div');
+      cell.className = 'calendar__day';
+      if (dayNumber === today) {
+        cell.classList.add('today');
+      }
+
+      const heading = document.createElement('div');
+      heading.className = 'calendar__date';
+      heading.textContent = formatDay(dayNumber);
+      cell.appendChild(heading);
+
+      items.sort((a, b) => a.start - b.start);
+      groupOverlapping(items).forEach(group => {
+        const stack = document.createElement('div');
+        stack.className = 'calendar__stack';
+        if (group.length > 1) {
+          stack.classList.add('overlap');
+        }
+        group.forEach(item => stack.appendChild(createItem(item, timeZone)));
+        cell.appendChild(stack);
+      });
+
+      grid.appendChild(cell);
+    });
+  };
+
+  prevButton.addEventListener('click', () => {
+    weekOffset--;
+    render();
+  });
+  todayButton.addEventListener('click', () => {
+    weekOffset = 0;
+    render();
+  });
+  nextButton.addEventListener('click', () => {
+    weekOffset++;
+    render();
+  });
+
+  return {
+    update(latest) {
+      liveJson = latest;
+      render();
+    },
+
+    setTimeZone(latest) {
+      timeZone = latest;
+      render();
+    }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * お気に入り（localStorage に保存）
+ *
+ * - 配信: 動画カードの ☆ ボタンで保存し、「マイリマインダー」に固定表示する
+ *   配信が終了した（またはキャッシュから消えた）ものは自動で削除する
+ * - メンバー: メンバー別表示の見出しの ☆ ボタンで保存し、先頭に並べて強調する
+ */
+
+import { getSecondaryEntries } from './video.js';
+
+const STARRED_VIDEOS_KEY = 'starredVideos';
+const FAVORITE_MEMBERS_KEY = 'favoriteMembers';
+
+/**
+ * localStorage から文字列の配列を読み込む
+ * @param {string} key
+ * @returns {string[]}
+ */
+function readList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * localStorage に文字列の配列を保存する
+ * @param {string} key
+ * @param {string[]} list
+ */
+function writeList(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+}
+
+/**
+ * 配列に値を追加・削除する
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean} 切り替え後に含まれているか
+ */
+function toggleListValue(key, value) {
+  const list = readList(key);
+  const included = list.includes(value);
+  writeList(key, included ? list.filter(item => item !== value) : [...list, value]);
+  return !included;
+}
+
+/**
+ * 保存した配信の動画ID
+ * @returns {Set<string>}
+ */
+export function getStarredIds() {
+  return new Set(readList(STARRED_VIDEOS_KEY));
+}
+
+/**
+ * 配信の保存を切り替える
+ * @param {string} videoId
+ * @returns {boolean} 切り替え後に保存されているか
+ */
+export function toggleStarred(videoId) {
+  return toggleListValue(STARRED_VIDEOS_KEY, videoId);
+}
+
+/**
+ * 終了した・キャッシュから消えた配信を保存から取り除く
+ * @param {Object} liveJson - live_cache.json
+ */
+export function cleanupStarred(liveJson) {
+  const activeIds = new Set(
+    [
+      ...Object.values(liveJson.channels).flat(),
+      ...getSecondaryEntries(liveJson).map(({ video }) => video)
+    ]
+      .filter(video => video.status !== 'end')
+      .map(video => video.videoId)
+  );
+
+  const list = readList(STARRED_VIDEOS_KEY);
+  const cleaned = list.filter(videoId => activeIds.has(videoId));
+  if (cleaned.length !== list.length) {
+    writeList(STARRED_VIDEOS_KEY, cleaned);
+  }
+}
+
+/**
+ * お気に入りのメンバー（チャンネルキー）
+ * @returns {Set<string>}
+ */
+export function getFavoriteMembers() {
+  return new Set(readList(FAVORITE_MEMBERS_KEY));
+}
+
+/**
+ * メンバーのお気に入りを切り替える
+ * @param {string} channelKey
+ * @returns {boolean} 切り替え後にお気に入りか
+ */
+export function toggleFavoriteMember(channelKey) {
+  return toggleListValue(FAVORITE_MEMBERS_KEY, channelKey);
+}
@@ -1,23 +1,161 @@
+import {
+  formatDate,
+  formatDateTime,
+  formatTime,
+  formatViewers,
+  getBadgeLabel,
+  getCountdown,
+  getSecondaryEntries,
+  groupCollabs,
+  isEnded,
+  JST_TIME_ZONE,
+  sortLiveVideos
+} from './video.js';
+import { createWeekCalendar } from './calendar.js';
+import {
+  cleanupStarred,
+  getFavoriteMembers,
+  getStarredIds,
+  toggleFavoriteMember,
+  toggleStarred
+} from './favorites.js';
+import { setupReminderButton, setupReminders } from './reminders.js';
+import { getTimeZone, getTimeZoneOptions, isJSTTimeZone, setTimeZone } from './timezone.js';
+
+/**
+ * チャンネルキー → 表示名・メンバーカラー
+ * （ビルド時に scripts/config/channels.js / members.js から埋め込まれる）
+ */
+const CHANNEL_DATA = JSON.parse(
+  document.getElementById('channel-data').textContent
+);
+
 /**
  * チャンネルキー → 表示名マップ
  */
-const CHANNEL_NAME_MAP = {
-  channelA: '天硝路ろまん',
-  channelB: '華鉈イオ',
-  channelC: 'にうふぁ',
-  channelD: 'アイリナ・ゼファリオ'
-};
+const CHANNEL_NAME_MAP = Object.fromEntries(
+  Object.entries(CHANNEL_DATA).map(([key, channel]) => [key, channel.name])
+);
+
+/**
+ * live_cache.json の取得元
+ */
+const OUTPUT_DIR = '/assets/data/json';
+
+/**
+ * キャッシュの更新確認間隔（ミリ秒）
+ * （キャッシュ自体は30分ごとに更新される）
+ */
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * カウントダウン表示の更新間隔（ミリ秒）
+ */
+const COUNTDOWN_INTERVAL_MS = 30 * 1000;
+
+/**
+ * 中止した配信を「最近終了・中止した配信」に表示する期間（ミリ秒）
+ */
+const CANCELLED_DISPLAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 表示切り替え・絞り込みで選べる配信状態
+ */
+const FILTER_STATUSES = ['live', 'upcoming'];
+
+/**
+ * 表示中の live_cache.json
+ */
+let currentLiveJson = null;
+
+/**
+ * 直近の更新で状態が変わった動画ID
+ */
+let currentChangedIds = new Set();
+
+/**
+ * 週間カレンダー
+ */
+let weekCalendar = null;
+
+/**
+ * 表示中の schedule_changes.json の要約
+ */
+let currentScheduleChanges = summarizeScheduleChanges({ changes: [] }, { channels: {} });
+
+/**
+ * 日時の表示に使うタイムゾーン（localStorage に保存、未設定ならブラウザのタイムゾーン）
+ */
+let currentTimeZone = getTimeZone();
 
 /**
- * ISO文字列を JST 表記に変換
+ * URL クエリから表示設定を読み込む
+ * - view: channel（メンバー別） / timeline（タイムライン）
+ * - member: 表示するチャンネルキー（カンマ区切り、省略時は全員）
+ * - status: 表示する配信状態（カンマ区切り、省略時はすべて）
+ * @returns {{ view: string, members: Set<string>, statuses: Set<string> }}
+ */
+function readViewState() {
+  const params = new URLSearchParams(location.search);
+  const channelKeys = Object.keys(CHANNEL_NAME_MAP);
+
+  const pick = (name, allowed) => {
+    const values = (params.get(name) || '').split(',').filter(value => allowed.includes(value));
+    return new Set(values.length ? values : allowed);
+  };
+
+  return {
+    view: params.get('view') === 'timeline' ? 'timeline' : 'channel',
+    members: pick('member', channelKeys),
+    statuses: pick('status', FILTER_STATUSES)
+  };
+}
+
+/**
+ * 表示設定を URL クエリに書き出す（既定値は省略）
+ * @param {{ view: string, members: Set<string>, statuses: Set<string> }} state
+ */
+function writeViewState(state) {
+  const params = new URLSearchParams(location.search);
+  const channelKeys = Object.keys(CHANNEL_NAME_MAP);
+
+  const put = (name, values, allowed) => {
+    if (values.size === allowed.length) {
+      params.delete(name);
+    } else {
+      params.set(name, allowed.filter(value => values.has(value)).join(','));
+    }
+  };
+
+  if (state.view === 'timeline') {
+    params.set('view', 'timeline');
+  } else {
+    params.delete('view');
+  }
+  put('member', state.members, channelKeys);
+  put('status', state.statuses, FILTER_STATUSES);
+
+  const query = params.toString();
+  history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+}
+
+/**
+ * 表示設定（URL クエリと同期）
+ */
+const viewState = readViewState();
+
+/**
+ * 選択中のタイムゾーンが JST でなければ、JST の時刻を添える（例: "(JST 21:00)"）
+ * @param {HTMLElement} el
  * @param {string} iso
- * @returns {string}
  */
-function formatJST(iso) {
-  if (!iso) return '';
-  return new Date(iso).toLocaleString('ja-JP', {
-    timeZone: 'Asia/Tokyo'
-  });
+function appendJSTNote(el, iso) {
+  if (isJSTTimeZone(currentTimeZone)) return;
+
+  const note = document.createElement('small');
+  note.className = 'time__jst';
+  note.textContent = `(JST ${formatTime(iso, JST_TIME_ZONE)})`;
+  el.append(note);
 }
 
 /**
@@ -34,38 +172,21 @@ function showSkeleton(container, count = 4) {
   }
 }
 
-/**
- * ライブ配信データをソート
- * - live → upcoming
- * - scheduledStartTime 昇順
- * @param {Array} videos
- * @returns {Array}
- */
-function sortLiveVideos(videos) {
-  return [...videos].sort((a, b) => {
-    if (a.status !== b.status) {
-      return a.status === 'live' ? -1 : 1;
-    }
-
-    if (a.scheduledStartTime && b.scheduledStartTime) {
-      return new Date(a.scheduledStartTime) - new Date(b.scheduledStartTime);
-    }
-
-    if (a.scheduledStartTime) return -1;
-    if (b.scheduledStartTime) return 1;
-
-    return 0;
-  });
-}
-
 /**
  * テンプレートから動画カードを生成
  * @param {Object} video
+ * @param {string} channelKey
+ * @param {{ showMember?: boolean, collab?: Object }} [options]
+ *   showMember: メンバー名を表示する（タイムライン表示用）
+ *   collab: まとめたコラボ配信（groupCollabs() の collabs の要素、参加者全員を表示する）
+ *     関連チャンネルの配信は hostName にチャンネル名を持つ
  * @returns {HTMLElement}
  */
-function createVideoCard(video) {
+function createVideoCard(video, channelKey, { showMember = false, collab = null } = {}) {
+  const memberName = collab?.hostName ?? CHANNEL_NAME_MAP[channelKey];
   const template = document.getElementById('video-card-template');
   const card = template.content.firstElementChild.cloneNode(true);
+  card.dataset.videoId = video.videoId;
 
   // link
   const link = card.querySelector('.video-link');
@@ -78,87 +199,681 @@ function createVideoCard(video) {
 
   // badge
   const badge = card.querySelector('.badge');
-  switch (video.status) {
-    case 'live':
-      badge.textContent = '配信中';
-      break;
-
-    case 'end':
-      badge.textContent = '終了';
-      break;
-
-    default:
-      badge.textContent = '予定'
-      break;
-  }
+  badge.textContent = getBadgeLabel(video.status);
   badge.classList.add(video.status);
 
+  // メンバー限定
+  if (!video.membersOnly) {
+    card.querySelector('.badge.members-only')?.remove();
+  }
+
+  // 時間変更
+  const markerEl = card.querySelector('.change-marker');
+  const originalStartTime = currentScheduleChanges.rescheduled.get(video.videoId);
+  if (markerEl && originalStartTime && video.status === 'upcoming') {
+    markerEl.textContent = '時間変更';
+    markerEl.title = `変更前：${formatDateTime(originalStartTime, currentTimeZone)}`;
+  } else {
+    markerEl?.remove();
+  }
+
+  // member（コラボ配信は参加者全員。他のメンバーの枠があればその枠へのリンクにする）
+  const memberEl = card.querySelector('.member');
+  if (collab) {
+    if (collab.hostName) memberEl.append(`${collab.hostName}：`);
+    collab.participants.forEach((key, index) => {
+      if (index > 0) memberEl.append(' × ');
+
+      const linkedVideo = collab.links[key];
+      if (linkedVideo && linkedVideo !== video) {
+        const a = document.createElement('a');
+        a.href = linkedVideo.url;
+        a.target = '_blank';
+        a.title = `${CHANNEL_NAME_MAP[key]}の枠`;
+        a.textContent = CHANNEL_NAME_MAP[key];
+        memberEl.append(a);
+      } else {
+        memberEl.append(CHANNEL_NAME_MAP[key] ?? key);
+      }
+    });
+    card.classList.add('collab');
+  } else if (showMember) {
+    memberEl.textContent = memberName;
+  } else {
+    memberEl.remove();
+  }
+
   // title
   card.querySelector('.title').textContent = video.title;
 
   // time
   const timeEl = card.querySelector('.time');
-  if (video.scheduledStartTime) {
-    timeEl.textContent = `開始予定：${formatJST(video.scheduledStartTime)}`;
+  if (video.status === 'end' && video.actualEndTime) {
+    timeEl.textContent = `配信終了：${formatDateTime(video.actualEndTime, currentTimeZone)}`;
+    appendJSTNote(timeEl, video.actualEndTime);
+  } else if (video.scheduledStartTime) {
+    timeEl.textContent = `開始予定：${formatDateTime(video.scheduledStartTime, currentTimeZone)}`;
+    appendJSTNote(timeEl, video.scheduledStartTime);
   } else {
     timeEl.remove();
   }
 
+  // 同時視聴者数（配信中のみ）
+  const viewersEl = card.querySelector('.viewers');
+  if (viewersEl && video.status === 'live' && video.concurrentViewers != null) {
+    viewersEl.textContent = formatViewers(video.concurrentViewers);
+  } else {
+    viewersEl?.remove();
+  }
+
+  // countdown
+  const countdownEl = card.querySelector('.countdown');
+  if (video.status === 'upcoming' && video.scheduledStartTime) {
+    countdownEl.dataset.start = video.scheduledStartTime;
+    updateCountdown(countdownEl);
+  } else {
+    countdownEl.remove();
+  }
+
+  // リマインダー
+  setupReminderButton(card.querySelector('.reminder-button'), video, memberName);
+
+  // お気に入り（☆）
+  const starButton = card.querySelector('.star-button');
+  if (video.status === 'upcoming' || video.status === 'live') {
+    const starred = getStarredIds().has(video.videoId);
+    starButton.textContent = starred ? '★' : '☆';
+    starButton.title = starred ? 'マイリマインダーから外す' : 'マイリマインダーに保存';
+    starButton.setAttribute('aria-pressed', String(starred));
+    starButton.addEventListener('click', () => {
+      toggleStarred(video.videoId);
+      renderLiveList(currentLiveJson, currentChangedIds);
+    });
+  } else {
+    starButton.remove();
+  }
+
+  // お気に入りメンバー
+  const favoriteMembers = getFavoriteMembers();
+  card.classList.toggle(
+    'favorite-member',
+    (collab?.participants ?? [channelKey]).some(key => favoriteMembers.has(key))
+  );
+
   return card;
 }
 
 /**
- * チャンネル単位のライブ表示ブロックを生成
- * @param {string} channelName
- * @param {Array} videos
- * @returns {HTMLElement}
+ * カウントダウン表示を更新
+ * @param {HTMLElement} el - data-start を持つ .countdown 要素
+ */
+function updateCountdown(el) {
+  const { text, soon } = getCountdown(el.dataset.start);
+  el.textContent = text;
+  el.classList.toggle('soon', soon);
+}
+
+/**
+ * ページ内のカウントダウン表示をすべて更新
+ */
+function updateAllCountdowns() {
+  document.querySelectorAll('.countdown[data-start]').forEach(updateCountdown);
+}
+
+/**
+ * 配信を並べ替えてカード一覧に追加
+ * @param {HTMLElement} list
+ * @param {Array<{ key: string, video: Object, collab?: Object }>} entries
+ * @param {{ showMember?: boolean }} [options]
+ */
+function appendCards(list, entries, { showMember = false } = {}) {
+  const entryMap = new Map(entries.map(entry => [entry.video, entry]));
+
+  sortLiveVideos(entries.map(({ video }) => video)).forEach(video => {
+    const { key, collab } = entryMap.get(video);
+    list.appendChild(createVideoCard(video, key, { showMember, collab }));
+  });
+}
+
+/**
+ * 見出しとカード一覧からなる表示ブロックを生成
+ * @param {string} heading
+ * @param {Array<{ key: string, video: Object, collab?: Object }>} entries
+ * @param {{ showMember?: boolean }} [options]
+ * @returns {{ section: HTMLElement, h3: HTMLElement }}
  */
-function createLiveChannelBlock(channelName, videos) {
+function createBlock(heading, entries, options) {
   const section = document.createElement('section');
 
   const h3 = document.createElement('h3');
-  h3.textContent = channelName;
+  h3.textContent = heading;
 
   const list = document.createElement('div');
   list.className = 'card-list';
-
-  sortLiveVideos(videos).forEach(video => {
-    list.appendChild(createVideoCard(video));
-  });
+  appendCards(list, entries, options);
 
   section.appendChild(h3);
   section.appendChild(list);
 
+  return { section, h3 };
+}
+
+/**
+ * チャンネル単位のライブ表示ブロックを生成
+ * @param {string} channelKey
+ * @param {Array} videos
+ * @returns {HTMLElement}
+ */
+function createLiveChannelBlock(channelKey, videos) {
+  const favorite = getFavoriteMembers().has(channelKey);
+  const { section, h3 } = createBlock(
+    CHANNEL_NAME_MAP[channelKey],
+    videos.map(video => ({ key: channelKey, video }))
+  );
+  section.classList.toggle('favorite', favorite);
+
+  // お気に入りメンバーの切り替え
+  const favoriteButton = document.createElement('button');
+  favoriteButton.type = 'button';
+  favoriteButton.className = 'favorite-button';
+  favoriteButton.textContent = favorite ? '★' : '☆';
+  favoriteButton.title = favorite ? 'お気に入りから外す' : 'お気に入りにする';
+  favoriteButton.setAttribute('aria-pressed', String(favorite));
+  favoriteButton.addEventListener('click', () => {
+    toggleFavoriteMember(channelKey);
+    renderLiveList(currentLiveJson, currentChangedIds);
+  });
+  h3.appendChild(favoriteButton);
+
   return section;
 }
 
 /**
- * メイン処理
+ * コラボ配信のブロックを生成（各コラボを参加者全員の名前付きで1件ずつ表示）
+ * @param {Array<Object>} collabs - groupCollabs() の collabs
+ * @returns {HTMLElement}
  */
-async function main() {
+function createCollabBlock(collabs) {
+  const { section } = createBlock(
+    'コラボ配信',
+    collabs.map(collab => ({ key: collab.key, video: collab.video, collab }))
+  );
+  section.classList.add('collab-block');
+
+  return section;
+}
+
+/**
+ * 関連チャンネル（公式・コラボ相手）の配信のブロックを生成
+ * @param {Array<{ key: string, video: Object, collab: Object }>} entries - toSecondaryDisplayEntries() の結果
+ * @returns {HTMLElement}
+ */
+function createSecondaryBlock(entries) {
+  const { section } = createBlock('公式・コラボ', entries);
+  section.classList.add('secondary-block');
+
+  return section;
+}
+
+/**
+ * 全メンバーの配信を時系列に並べたタイムラインを生成
+ * - 配信中 → 開始予定日ごと（選択中のタイムゾーン）に見出しを付ける
+ * @param {Array<{ key: string, video: Object, collab?: Object }>} entries
+ * @returns {DocumentFragment}
+ */
+function createTimeline(entries) {
+  const fragment = document.createDocumentFragment();
+  const entryMap = new Map(entries.map(entry => [entry.video, entry]));
+
+  let currentHeading = null;
+  let list = null;
+
+  sortLiveVideos(entries.map(({ video }) => video)).forEach(video => {
+    const heading = video.status === 'live'
+      ? '配信中'
+      : formatDate(video.scheduledStartTime, currentTimeZone) || '日時未定';
+
+    if (heading !== currentHeading) {
+      const section = document.createElement('section');
+      const h3 = document.createElement('h3');
+      h3.textContent = heading;
+
+      list = document.createElement('div');
+      list.className = 'card-list timeline';
+
+      section.appendChild(h3);
+      section.appendChild(list);
+      fragment.appendChild(section);
+      currentHeading = heading;
+    }
+
+    const { key, collab } = entryMap.get(video);
+    list.appendChild(
+      createVideoCard(video, key, { showMember: true, collab })
+    );
+  });
+
+  return fragment;
+}
+
+/**
+ * groupCollabs() の結果を表示用のエントリ一覧にする
+ * @param {{ solos: Array, collabs: Array }} grouped
+ * @returns {Array<{ key: string, video: Object, collab?: Object }>}
+ */
+function toDisplayEntries({ solos, collabs }) {
+  return [
+    ...solos,
+    ...collabs.map(collab => ({ key: collab.key, video: collab.video, collab }))
+  ];
+}
+
+/**
+ * 関連チャンネルの配信を表示用のエントリにする
+ * （参加するメンバーをコラボ配信と同じ形式で表示する）
+ * @param {Array<{ key: string, video: Object, channelName: string }>} entries - getSecondaryEntries() の結果
+ * @returns {Array<{ key: string, video: Object, collab: Object }>}
+ */
+function toSecondaryDisplayEntries(entries) {
+  return entries.map(({ key, video, channelName }) => ({
+    key,
+    video,
+    collab: { participants: video.participants, links: {}, hostName: channelName }
+  }));
+}
+
+/**
+ * 保存した配信を固定表示する「マイリマインダー」を生成
+ * （表示の絞り込みに関係なく、開始予定順に並べる）
+ * @param {Object} liveJson - live_cache.json
+ * @returns {HTMLElement|null} 保存した配信がなければ null
+ */
+function createPinnedSection(liveJson) {
+  const starredIds = getStarredIds();
+  const entries = Object.entries(liveJson.channels).flatMap(([key, videos]) =>
+    videos.filter(video => starredIds.has(video.videoId)).map(video => ({ key, video }))
+  );
+  const secondaryEntries = toSecondaryDisplayEntries(
+    getSecondaryEntries(liveJson).filter(({ video }) => starredIds.has(video.videoId))
+  );
+  if (!entries.length && !secondaryEntries.length) return null;
+
+  const { section } = createBlock(
+    'マイリマインダー',
+    [...toDisplayEntries(groupCollabs(entries)), ...secondaryEntries],
+    { showMember: true }
+  );
+  section.className = 'pinned';
+
+  return section;
+}
+
+/**
+ * チャンネルキー → 配信 の一覧を、お気に入りのメンバーを先頭にして返す
+ * @param {Array<{ key: string, video: Object }>} solos
+ * @returns {Array<[string, Object[]]>}
+ */
+function groupByChannel(solos) {
+  const favoriteMembers = getFavoriteMembers();
+
+  return Object.keys(CHANNEL_NAME_MAP)
+    .sort((a, b) => favoriteMembers.has(b) - favoriteMembers.has(a))
+    .map(key => [key, solos.filter(solo => solo.key === key).map(solo => solo.video)])
+    .filter(([, videos]) => videos.length);
+}
+
+/**
+ * 配信一覧を描画する
+ * （ビルド時に事前描画された内容を最新のキャッシュで置き換える）
+ * - コラボ配信は各メンバーの枠をまとめて1件だけ表示する
+ * - 関連チャンネル（公式・コラボ相手）の配信は「公式・コラボ」にまとめる
+ * @param {Object} liveJson - live_cache.json
+ * @param {Set<string>} changedIds - 前回の描画から状態が変わった動画ID
+ */
+function renderLiveList(liveJson, changedIds = new Set()) {
   const liveList = document.getElementById('live-list');
-  const OUTPUT_DIR = '/assets/data/json';
+  const endedSection = document.getElementById('ended-section');
+  const endedList = document.getElementById('ended-list');
 
-  /* ---------- live_cache ---------- */
-  const liveJson = await fetch(`${OUTPUT_DIR}/live_cache.json`).then(r => r.json());
-  let clearFlg = false;
+  const liveFragment = document.createDocumentFragment();
+  const endedFragment = document.createDocumentFragment();
 
-  Object.entries(liveJson.channels).forEach(([key, videos]) => {
-    if (!videos.length) {
-      return
+  /* ---------- マイリマインダー ---------- */
+  cleanupStarred(liveJson);
+  const pinnedSection = createPinnedSection(liveJson);
+  if (pinnedSection) {
+    liveFragment.appendChild(pinnedSection);
+  }
+
+  /* ---------- 配信予定・配信中（絞り込み後） ---------- */
+  const active = groupCollabs(
+    Object.entries(liveJson.channels).flatMap(([key, videos]) =>
+      videos
+        .filter(video => !isEnded(video) && viewState.statuses.has(video.status))
+        .map(video => ({ key, video }))
+    )
+  );
+
+  // コラボ配信は参加者の誰かが表示対象なら表示する
+  const activeSolos = active.solos.filter(({ key }) => viewState.members.has(key));
+  const activeCollabs = active.collabs.filter(collab =>
+    collab.participants.some(key => viewState.members.has(key))
+  );
+
+  const secondary = toSecondaryDisplayEntries(getSecondaryEntries(liveJson));
+  const activeSecondary = secondary.filter(({ video }) =>
+    !isEnded(video) &&
+    viewState.statuses.has(video.status) &&
+    video.participants.some(key => viewState.members.has(key))
+  );
+
+  if (viewState.view === 'timeline') {
+    liveFragment.appendChild(
+      createTimeline([
+        ...toDisplayEntries({ solos: activeSolos, collabs: activeCollabs }),
+        ...activeSecondary
+      ])
+    );
+  } else {
+    if (activeCollabs.length) {
+      liveFragment.appendChild(createCollabBlock(activeCollabs));
     }
+    if (activeSecondary.length) {
+      liveFragment.appendChild(createSecondaryBlock(activeSecondary));
+    }
+    groupByChannel(activeSolos).forEach(([key, videos]) => {
+      liveFragment.appendChild(createLiveChannelBlock(key, videos));
+    });
+  }
 
-    if (!clearFlg) {
-      liveList.textContent = '';
-      // Skeleton 表示
-      // showSkeleton(liveList, 4);
-      clearFlg = true;
+  /* ---------- 最近終了・中止した配信 ---------- */
+  const ended = groupCollabs(
+    Object.entries(liveJson.channels).flatMap(([key, videos]) =>
+      [...videos.filter(isEnded), ...(currentScheduleChanges.cancelled.get(key) ?? [])]
+        .map(video => ({ key, video }))
+    )
+  );
+
+  const endedSecondary = secondary.filter(({ video }) => isEnded(video));
+
+  if (ended.collabs.length) {
+    endedFragment.appendChild(createCollabBlock(ended.collabs));
+  }
+  if (endedSecondary.length) {
+    endedFragment.appendChild(createSecondaryBlock(endedSecondary));
+  }
+  groupByChannel(ended.solos).forEach(([key, videos]) => {
+    endedFragment.appendChild(createLiveChannelBlock(key, videos));
+  });
+
+  liveList.textContent = '';
+  if (liveFragment.childNodes.length) {
+    liveList.appendChild(liveFragment);
+  } else {
+    const p = document.createElement('p');
+    p.textContent = '現在配信予定枠はありません。';
+    liveList.appendChild(p);
+  }
+
+  endedList.textContent = '';
+  endedList.appendChild(endedFragment);
+  endedSection.hidden = !endedList.childNodes.length;
+
+  // 配信開始・終了したカードを強調
+  document.querySelectorAll('.card[data-video-id]').forEach(card => {
+    card.classList.toggle('updated', changedIds.has(card.dataset.videoId));
+  });
+
+  // 最終更新日時
+  document.getElementById('updated-at').textContent =
+    `最終更新：${formatDateTime(liveJson.updatedAt, currentTimeZone)}`;
+}
+
+/**
+ * 動画ID → 配信状態 のマップを作る
+ * @param {Object} liveJson - live_cache.json
+ * @returns {Map<string, string>}
+ */
+function getStatusMap(liveJson) {
+  const map = new Map();
+  Object.values(liveJson.channels).flat().forEach(video => {
+    map.set(video.videoId, video.status);
+  });
+  getSecondaryEntries(liveJson).forEach(({ video }) => {
+    map.set(video.videoId, video.status);
+  });
+  return map;
+}
+
+/**
+ * 前回から状態が変わった（配信開始・終了した）動画IDを求める
+ * @param {Map<string, string>} previous
+ * @param {Map<string, string>} current
+ * @returns {Set<string>}
+ */
+function findChangedIds(previous, current) {
+  const changed = new Set();
+  current.forEach((status, videoId) => {
+    const before = previous.get(videoId);
+    if (before && before !== status) {
+      changed.add(videoId);
     }
+  });
+  return changed;
+}
 
-    liveList.appendChild(
-      createLiveChannelBlock(CHANNEL_NAME_MAP[key], videos)
-    );
+/**
+ * live_cache.json を取得
+ * @returns {Promise<Object>}
+ */
+function fetchLiveCache() {
+  return fetch(`${OUTPUT_DIR}/live_cache.json`, { cache: 'no-store' }).then(r => r.json());
+}
+
+/**
+ * schedule_changes.json を取得（取得できない場合は変更なしとして扱う）
+ * @returns {Promise<Object>}
+ */
+function fetchScheduleChanges() {
+  return fetch(`${OUTPUT_DIR}/schedule_changes.json`, { cache: 'no-store' })
+    .then(r => (r.ok ? r.json() : { changes: [] }))
+    .catch(() => ({ changes: [] }));
+}
+
+/**
+ * 変更履歴から表示に使う情報をまとめる
+ * - rescheduled: 動画ID → 最初の開始予定時刻（時間変更マーク用）
+ * - cancelled: チャンネルキー → 最近中止した配信（表示用のエントリ）
+ * @param {Object} changesJson - schedule_changes.json
+ * @param {Object} liveJson - live_cache.json
+ * @returns {{ rescheduled: Map<string, string>, cancelled: Map<string, Array> }}
+ */
+function summarizeScheduleChanges(changesJson, liveJson) {
+  const rescheduled = new Map();
+  const cancelled = new Map();
+  const liveIds = new Set(Object.values(liveJson.channels).flat().map(video => video.videoId));
+
+  // 新しい順に並んでいるため、後から見つかった（古い）変更前の時刻で上書きする
+  changesJson.changes.forEach(change => {
+    if (change.type === 'rescheduled') {
+      rescheduled.set(change.videoId, change.before.scheduledStartTime);
+    }
+  });
+
+  changesJson.changes.forEach(change => {
+    if (change.type !== 'cancelled' || liveIds.has(change.videoId)) return;
+    if (Date.now() - new Date(change.detectedAt) > CANCELLED_DISPLAY_MS) return;
+
+    liveIds.add(change.videoId);
+    if (!cancelled.has(change.channelKey)) cancelled.set(change.channelKey, []);
+    cancelled.get(change.channelKey).push({
+      ...change.before,
+      videoId: change.videoId,
+      status: 'cancelled',
+      actualStartTime: null,
+      actualEndTime: null
+    });
+  });
+
+  return { rescheduled, cancelled };
+}
+
+/**
+ * キャッシュの更新を定期的に（と Service Worker から更新を知らされたときに）確認し、
+ * updatedAt が変わったら再描画する
+ * @param {Object} liveJson - 表示中の live_cache.json
+ */
+function startPolling(liveJson) {
+  let statusMap = getStatusMap(liveJson);
+
+  const poll = async () => {
+    try {
+      const latest = await fetchLiveCache();
+      if (latest.updatedAt === currentLiveJson.updatedAt) return;
+
+      const latestStatusMap = getStatusMap(latest);
+      currentLiveJson = latest;
+      currentScheduleChanges = summarizeScheduleChanges(await fetchScheduleChanges(), latest);
+      currentChangedIds = findChangedIds(statusMap, latestStatusMap);
+      renderLiveList(currentLiveJson, currentChangedIds);
+      weekCalendar?.update(currentLiveJson);
+
+      statusMap = latestStatusMap;
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  setInterval(() => {
+    if (document.visibilityState === 'visible') poll();
+  }, POLL_INTERVAL_MS);
+
+  // タブに戻ってきたらすぐ確認
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') poll();
+  });
+
+  // Service Worker がキャッシュしていた JSON を返した後、最新の内容を取得できたらすぐ確認
+  navigator.serviceWorker?.addEventListener('message', event => {
+    if (event.data?.type === 'cache:updated' && event.data.url.startsWith(`${OUTPUT_DIR}/`)) poll();
+  });
+}
+
+/**
+ * 表示切り替え・絞り込みフォームを初期化
+ * （URL クエリの内容を反映し、変更時は URL を更新して再描画する）
+ */
+function setupViewControls() {
+  const controls = document.getElementById('live-controls');
+  if (!controls) return;
+
+  const viewButtons = controls.querySelectorAll('[data-view]');
+  const memberInputs = controls.querySelectorAll('input[name="member"]');
+  const statusInputs = controls.querySelectorAll('input[name="status"]');
+
+  const syncForm = () => {
+    viewButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === viewState.view));
+    });
+    memberInputs.forEach(input => {
+      input.checked = viewState.members.has(input.value);
+    });
+    statusInputs.forEach(input => {
+      input.checked = viewState.statuses.has(input.value);
+    });
+  };
+
+  const update = () => {
+    writeViewState(viewState);
+    syncForm();
+    if (currentLiveJson) renderLiveList(currentLiveJson, currentChangedIds);
+  };
+
+  viewButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      viewState.view = button.dataset.view;
+      update();
+    });
+  });
+
+  controls.addEventListener('change', event => {
+    const input = event.target;
+    if (input.name !== 'member' && input.name !== 'status') return;
+
+    const values = input.name === 'member' ? viewState.members : viewState.statuses;
+    if (input.checked) {
+      values.add(input.value);
+    } else {
+      values.delete(input.value);
+    }
+    update();
+  });
+
+  syncForm();
+  controls.hidden = false;
+}
+
+/**
+ * タイムゾーンの選択を初期化
+ * （選択は localStorage に保存し、変更時は配信一覧・週間カレンダーを再描画する）
+ */
+function setupTimeZoneControl() {
+  const select = document.getElementById('time-zone-select');
+  const jstButton = document.getElementById('time-zone-jst');
+  if (!select || !jstButton) return;
+
+  getTimeZoneOptions(currentTimeZone).forEach(timeZone => {
+    const option = document.createElement('option');
+    option.value = timeZone;
+    option.textContent = timeZone === JST_TIME_ZONE ? `${timeZone}（日本時間）` : timeZone;
+    select.appendChild(option);
   });
+
+  const syncControl = () => {
+    select.value = currentTimeZone;
+    jstButton.setAttribute('aria-pressed', String(isJSTTimeZone(currentTimeZone)));
+  };
+
+  const update = timeZone => {
+    currentTimeZone = timeZone;
+    setTimeZone(timeZone);
+    syncControl();
+    if (currentLiveJson) renderLiveList(currentLiveJson, currentChangedIds);
+    weekCalendar?.setTimeZone(timeZone);
+  };
+
+  select.addEventListener('change', () => update(select.value));
+  jstButton.addEventListener('click', () => update(JST_TIME_ZONE));
+
+  syncControl();
+}
+
+/**
+ * メイン処理
+ */
+async function main() {
+  /* ---------- live_cache ---------- */
+  const [liveJson, changesJson] = await Promise.all([fetchLiveCache(), fetchScheduleChanges()]);
+  currentLiveJson = liveJson;
+  currentScheduleChanges = summarizeScheduleChanges(changesJson, liveJson);
+
+  setupViewControls();
+  setupTimeZoneControl();
+  renderLiveList(liveJson);
+
+  /* ---------- 週間カレンダー ---------- */
+  const calendarContainer = document.getElementById('week-calendar');
+  if (calendarContainer) {
+    weekCalendar = createWeekCalendar(calendarContainer, CHANNEL_DATA, currentTimeZone);
+    weekCalendar.update(liveJson);
+  }
+
+  /* ---------- リマインダー（Service Worker） ---------- */
+  setupReminders().catch(console.error);
+
+  /* ---------- 自動更新 ---------- */
+  setInterval(updateAllCountdowns, COUNTDOWN_INTERVAL_MS);
+  startPolling(liveJson);
 }
 
 main().catch(console.error);
@@ -0,0 +1,171 @@
+/**
+ * 配信リマインダー
+ *
+ * 動画カードのボタンから配信予定を登録し、開始予定時刻に Service Worker（/sw.js）から通知する
+ * 登録内容は localStorage に保存し、変更のたびに Service Worker へ送る
+ *
+ * プッシュ通知用のサーバーはなく、通知の確認はページを開いている間（と、対応ブラウザで
+ * インストールした場合の定期バックグラウンド同期）に限られるため、その旨をページに表示する
+ */
+
+const STORAGE_KEY = 'reminders';
+
+/**
+ * ページを開いている間に通知の確認を Service Worker に依頼する間隔（ミリ秒）
+ */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 定期バックグラウンド同期の最小間隔（ミリ秒）
+ */
+const PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * 開始予定時刻を過ぎたリマインダーを残しておく時間（ミリ秒）
+ */
+const REMINDER_EXPIRE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 通知に対応したブラウザか
+ */
+const SUPPORTED = 'serviceWorker' in navigator && 'Notification' in window;
+
+/**
+ * 登録済みのリマインダーを読み込む（期限切れのものは除く）
+ * @returns {Array<{ videoId: string, title: string, memberName: string, url: string, thumbnail: string, scheduledStartTime: string }>}
+ */
+export function getReminders() {
+  let reminders;
+  try {
+    reminders = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    reminders = [];
+  }
+
+  return reminders.filter(
+    reminder => Date.now() - new Date(reminder.scheduledStartTime) <= REMINDER_EXPIRE_MS
+  );
+}
+
+/**
+ * リマインダーを保存し、Service Worker に送る
+ * @param {Array<Object>} reminders
+ */
+function saveReminders(reminders) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(reminders));
+  postToServiceWorker({ type: 'reminders:sync', reminders });
+}
+
+/**
+ * Service Worker にメッセージを送る
+ * @param {Object} message
+ */
+function postToServiceWorker(message) {
+  if (!SUPPORTED) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.active?.postMessage(message))
+    .catch(console.error);
+}
+
+/**
+ * リマインダー登録済みか判定
+ * @param {string} videoId
+ * @returns {boolean}
+ */
+export function hasReminder(videoId) {
+  return getReminders().some(reminder => reminder.videoId === videoId);
+}
+
+/**
+ * リマインダーを登録・解除する
+ * （初回は通知の許可を求め、許可されなければ登録しない）
+ * @param {Object} video - live_cache.json のエントリ
+ * @param {string} memberName
+ * @returns {Promise<boolean>} 登録後の状態
+ */
+export async function toggleReminder(video, memberName) {
+  const reminders = getReminders();
+
+  if (reminders.some(reminder => reminder.videoId === video.videoId)) {
+    saveReminders(reminders.filter(reminder => reminder.videoId !== video.videoId));
+    return false;
+  }
+
+  if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+    alert('通知が許可されていないため、リマインダーを登録できません。');
+    return false;
+  }
+
+  saveReminders([...reminders, {
+    videoId: video.videoId,
+    title: video.title,
+    memberName,
+    url: video.url,
+    thumbnail: video.thumbnail,
+    scheduledStartTime: video.scheduledStartTime
+  }]);
+  return true;
+}
+
+/**
+ * リマインダーボタンの表示を更新
+ * @param {HTMLButtonElement} button
+ * @param {boolean} active
+ */
+function renderReminderButton(button, active) {
+  button.textContent = active ? '🔔 リマインド中' : '🔔 リマインド';
+  button.setAttribute('aria-pressed', String(active));
+}
+
+/**
+ * 通知が届く条件の説明（ボタンの title・ページの注意書き）
+ */
+const DELIVERY_NOTE = '通知はこのページを開いている間に届きます。ページを閉じていると届かない場合があります。';
+
+/**
+ * 動画カードのリマインダーボタンを設定する
+ * （配信予定以外・通知非対応のブラウザではボタンを取り除く）
+ * @param {HTMLButtonElement} button
+ * @param {Object} video
+ * @param {string} memberName
+ */
+export function setupReminderButton(button, video, memberName) {
+  if (!SUPPORTED || video.status !== 'upcoming' || !video.scheduledStartTime) {
+    button.remove();
+    return;
+  }
+
+  renderReminderButton(button, hasReminder(video.videoId));
+  button.title = DELIVERY_NOTE;
+  button.addEventListener('click', async () => {
+    renderReminderButton(button, await toggleReminder(video, memberName));
+  });
+}
+
+/**
+ * Service Worker を登録し、リマインダーの確認を始める
+ * （通知が届く条件の注意書きを表示する）
+ */
+export async function setupReminders() {
+  if (!SUPPORTED) return;
+
+  const note = document.getElementById('reminder-note');
+  if (note) {
+    note.textContent = `🔔 リマインド：${DELIVERY_NOTE}`;
+    note.hidden = false;
+  }
+
+  const registration = await navigator.serviceWorker.register('/sw.js');
+  await navigator.serviceWorker.ready;
+
+  saveReminders(getReminders());
+
+  // インストールした PWA では、ページを閉じていても定期的に確認する
+  if ('periodicSync' in registration) {
+    registration.periodicSync
+      .register('reminders', { minInterval: PERIODIC_SYNC_INTERVAL_MS })
+      .catch(() => {});
+  }
+
+  setInterval(() => postToServiceWorker({ type: 'reminders:check' }), CHECK_INTERVAL_MS);
+}
@@ -0,0 +1,86 @@
+/**
+ * 表示するタイムゾーンの設定（localStorage に保存）
+ *
+ * 未設定の場合はブラウザのタイムゾーンで表示する
+ */
+
+import { JST_TIME_ZONE } from './video.js';
+
+const TIME_ZONE_KEY = 'timeZone';
+
+/**
+ * Intl.supportedValuesOf に対応していないブラウザで選べるタイムゾーン
+ */
+const FALLBACK_TIME_ZONES = [
+  JST_TIME_ZONE,
+  'UTC',
+  'America/Los_Angeles',
+  'America/New_York',
+  'Europe/London',
+  'Europe/Paris',
+  'Asia/Shanghai',
+  'Asia/Singapore',
+  'Australia/Sydney'
+];
+
+/**
+ * タイムゾーン名として使えるか
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('ja-JP', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ブラウザのタイムゾーン
+ * @returns {string} 取得できない場合は JST
+ */
+export function getBrowserTimeZone() {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : JST_TIME_ZONE;
+}
+
+/**
+ * 表示するタイムゾーン
+ * @returns {string} 保存したタイムゾーン（未設定・不正な値の場合はブラウザのタイムゾーン）
+ */
+export function getTimeZone() {
+  const saved = localStorage.getItem(TIME_ZONE_KEY);
+  return saved && isValidTimeZone(saved) ? saved : getBrowserTimeZone();
+}
+
+/**
+ * 表示するタイムゾーンを保存する
+ * @param {string} timeZone
+ */
+export function setTimeZone(timeZone) {
+  localStorage.setItem(TIME_ZONE_KEY, timeZone);
+}
+
+/**
+ * 日本時間のタイムゾーンか
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isJSTTimeZone(timeZone) {
+  return timeZone === JST_TIME_ZONE || timeZone === 'Japan';
+}
+
+/**
+ * 選択肢に並べるタイムゾーン（JST・ブラウザのタイムゾーン・選択中のタイムゾーンを先頭にする）
+ * @param {string} selected - 選択中のタイムゾーン
+ * @returns {string[]}
+ */
+export function getTimeZoneOptions(selected) {
+  const supported = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;
+
+  return [...new Set([JST_TIME_ZONE, getBrowserTimeZone(), selected, ...supported])];
+}
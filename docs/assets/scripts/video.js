@@ -0,0 +1,258 @@
+/**
+ * 動画データの共通処理
+ *
+ * main.js（ブラウザ）と eleventy.config.js（ビルド時の事前描画）共通
+ */
+
+/**
+ * 日本時間のタイムゾーン
+ */
+export const JST_TIME_ZONE = 'Asia/Tokyo';
+
+/**
+ * ISO文字列を指定したタイムゾーンの日時表記に変換
+ * @param {string} iso
+ * @param {string} [timeZone] - IANA タイムゾーン名（省略時は JST）
+ * @returns {string}
+ */
+export function formatDateTime(iso, timeZone = JST_TIME_ZONE) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('ja-JP', { timeZone });
+}
+
+/**
+ * ISO文字列を指定したタイムゾーンの日付表記に変換
+ * @param {string} iso
+ * @param {string} [timeZone] - IANA タイムゾーン名（省略時は JST）
+ * @returns {string} 例: "8月23日(日)"
+ */
+export function formatDate(iso, timeZone = JST_TIME_ZONE) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('ja-JP', {
+    timeZone,
+    month: 'long',
+    day: 'numeric',
+    weekday: 'short'
+  });
+}
+
+/**
+ * ISO文字列を指定したタイムゾーンの時刻表記に変換
+ * @param {string} iso
+ * @param {string} [timeZone] - IANA タイムゾーン名（省略時は JST）
+ * @returns {string} 例: "21:00"
+ */
+export function formatTime(iso, timeZone = JST_TIME_ZONE) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleTimeString('ja-JP', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * ISO文字列を JST 表記に変換
+ * @param {string} iso
+ * @returns {string}
+ */
+export function formatJST(iso) {
+  return formatDateTime(iso, JST_TIME_ZONE);
+}
+
+/**
+ * ISO文字列を JST の日付表記に変換
+ * @param {string} iso
+ * @returns {string} 例: "8月23日(日)"
+ */
+export function formatJSTDate(iso) {
+  return formatDate(iso, JST_TIME_ZONE);
+}
+
+/**
+ * ライブ配信データをソート
+ * - live → upcoming
+ * - scheduledStartTime 昇順
+ * - end / cancelled は終了時刻（中止は開始予定時刻）の降順
+ * @param {Array} videos
+ * @returns {Array}
+ */
+export function sortLiveVideos(videos) {
+  const closedTime = video => new Date(video.actualEndTime || video.scheduledStartTime);
+
+  return [...videos].sort((a, b) => {
+    if (isClosed(a) && isClosed(b)) {
+      return closedTime(b) - closedTime(a);
+    }
+
+    if (a.status !== b.status) {
+      return a.status === 'live' ? -1 : 1;
+    }
+
+    if (a.scheduledStartTime && b.scheduledStartTime) {
+      return new Date(a.scheduledStartTime) - new Date(b.scheduledStartTime);
+    }
+
+    if (a.scheduledStartTime) return -1;
+    if (b.scheduledStartTime) return 1;
+
+    return 0;
+  });
+}
+
+/**
+ * 配信終了した動画か判定
+ * @param {Object} video
+ * @returns {boolean}
+ */
+export function isEnded(video) {
+  return video.status === 'end';
+}
+
+/**
+ * 配信終了・中止した動画か判定
+ * @param {Object} video
+ * @returns {boolean}
+ */
+function isClosed(video) {
+  return video.status === 'end' || video.status === 'cancelled';
+}
+
+/**
+ * 同じコラボ配信とみなす開始時刻の差（ミリ秒）
+ */
+const COLLAB_MATCH_WINDOW_MS = 30 * 60 * 1000;
+
+/**
+ * コラボ配信（参加者が2人以上）か判定
+ * @param {Object} video
+ * @returns {boolean}
+ */
+export function isCollab(video) {
+  return (video.participants?.length ?? 0) > 1;
+}
+
+/**
+ * 配信の開始時刻（実際 or 予定、ミリ秒）
+ * @param {Object} video
+ * @returns {number}
+ */
+function getStartTimeMs(video) {
+  return new Date(video.actualStartTime || video.scheduledStartTime || 0).getTime();
+}
+
+/**
+ * コラボ配信を1件にまとめる
+ * - 互いを参加者に含み、開始時刻が近い枠どうしを同じコラボとみなす
+ *   （各メンバーのチャンネルにそれぞれ枠がある場合・1人のチャンネルにしかない場合の両方）
+ * - 代表の枠は配信中のもの → 先に見つかったもの
+ * @param {Array<{ key: string, video: Object }>} entries - チャンネルキーと配信
+ * @returns {{
+ *   solos: Array<{ key: string, video: Object }>,
+ *   collabs: Array<{ key: string, video: Object, participants: string[], links: Object<string, Object> }>
+ * }} solos: コラボ以外 / collabs: まとめたコラボ（links はチャンネルキー → そのチャンネルの枠）
+ */
+export function groupCollabs(entries) {
+  const solos = [];
+  const collabs = [];
+
+  entries.forEach(({ key, video }) => {
+    if (!isCollab(video)) {
+      solos.push({ key, video });
+      return;
+    }
+
+    const group = collabs.find(collab =>
+      collab.participants.includes(key) &&
+      video.participants.some(participant => collab.links[participant]) &&
+      Math.abs(getStartTimeMs(collab.video) - getStartTimeMs(video)) <= COLLAB_MATCH_WINDOW_MS
+    );
+
+    if (!group) {
+      collabs.push({ key, video, participants: [...video.participants], links: { [key]: video } });
+      return;
+    }
+
+    group.links[key] = video;
+    video.participants.forEach(participant => {
+      if (!group.participants.includes(participant)) group.participants.push(participant);
+    });
+    if (video.status === 'live' && group.video.status !== 'live') {
+      group.key = key;
+      group.video = video;
+    }
+  });
+
+  return { solos, collabs };
+}
+
+/**
+ * 関連チャンネル（公式・コラボ相手）の配信を表示用のエントリにする
+ * （live_cache.json の secondary。participants は参加するメンバーのみ）
+ * @param {Object} liveJson - live_cache.json
+ * @returns {Array<{ key: string, video: Object, channelName: string }>}
+ */
+export function getSecondaryEntries(liveJson) {
+  return Object.entries(liveJson.secondary ?? {}).flatMap(([key, channel]) =>
+    channel.videos.map(video => ({ key, video, channelName: channel.channelName }))
+  );
+}
+
+/**
+ * 配信状態からバッジの表示名を返す
+ * @param {string} status
+ * @returns {string}
+ */
+export function getBadgeLabel(status) {
+  switch (status) {
+    case 'live':
+      return '配信中';
+
+    case 'end':
+      return '終了';
+
+    case 'cancelled':
+      return '中止';
+
+    default:
+      return '予定';
+  }
+}
+
+/**
+ * 同時視聴者数の表記を返す
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatViewers(count) {
+  return `${count.toLocaleString('ja-JP')}人が視聴中`;
+}
+
+/**
+ * 開始予定時刻までのカウントダウン表記を返す
+ * - 開始時刻を過ぎたら「まもなく」
+ * @param {string} iso - 開始予定時刻
+ * @param {number} now - 基準時刻（ミリ秒）
+ * @returns {{ text: string, soon: boolean }}
+ */
+export function getCountdown(iso, now = Date.now()) {
+  const diffMinutes = Math.ceil((new Date(iso) - now) / 60000);
+
+  if (diffMinutes <= 0) {
+    return { text: 'まもなく', soon: true };
+  }
+
+  const days = Math.floor(diffMinutes / 1440);
+  const hours = Math.floor((diffMinutes % 1440) / 60);
+  const minutes = diffMinutes % 60;
+
+  if (days > 0) {
+    return { text: `あと${days}日${hours}時間`, soon: false };
+  }
+
+  if (hours > 0) {
+    return { text: `あと${hours}時間${minutes}分`, soon: false };
+  }
+
+  return { text: `あと${minutes}分`, soon: false };
+}
@@ -0,0 +1,291 @@
+/**
+ * Service Worker
+ *
+ * - ページ・CSS・JS・JSON データ・画像は stale-while-revalidate でキャッシュする
+ *   （キャッシュがあれば即座に返し、裏で最新を取得してキャッシュを更新する）
+ * - JSON データの内容が更新されたらページに知らせる（ページ側で再取得して表示を更新する）
+ * - 配信リマインダー（main.js から登録）を開始予定時刻に通知する
+ *
+ * リマインダーの通知は次のタイミングで確認する
+ * - ページからの確認依頼（ページを開いている間は1分ごと）
+ * - 定期バックグラウンド同期（Chromium 系でインストールした場合のみ。実行間隔はブラウザ任せ）
+ *
+ * プッシュ通知用のサーバーがないため、ページを閉じていると開始予定時刻に通知できない場合がある
+ * （ページ側でこの制限を表示する）
+ */
+
+/**
+ * キャッシュ名（ページ・スクリプトの構成を変えたら番号を上げ、古いキャッシュを破棄する）
+ */
+const CACHE_VERSION = 3;
+const CACHE_NAME = `stellart-fan-v${CACHE_VERSION}`;
+
+/**
+ * インストール時にキャッシュするファイル
+ */
+const PRECACHE_URLS = [
+  '/',
+  '/stats/',
+  '/assets/styles/styles.css',
+  '/assets/scripts/main.js',
+  '/assets/scripts/video.js',
+  '/assets/scripts/calendar.js',
+  '/assets/scripts/reminders.js',
+  '/assets/scripts/favorites.js',
+  '/assets/scripts/timezone.js',
+  '/assets/data/json/live_cache.json',
+  '/manifest.webmanifest'
+];
+
+/**
+ * キャッシュの対象パス（前方一致。ページの表示は常に対象）
+ */
+const CACHE_PATH_PREFIXES = [
+  '/assets/styles/',
+  '/assets/scripts/',
+  '/assets/data/json/',
+  '/assets/images/',
+  '/manifest.webmanifest'
+];
+
+/**
+ * 更新をページに知らせるパス（前方一致）
+ */
+const NOTIFY_UPDATE_PATH_PREFIXES = [
+  '/assets/data/json/'
+];
+
+/**
+ * リマインダーを保存する IndexedDB
+ */
+const DB_NAME = 'stellart-fan';
+const STORE_NAME = 'reminders';
+
+/**
+ * 開始予定時刻を過ぎたリマインダーを残しておく時間（ミリ秒）
+ */
+const REMINDER_EXPIRE_MS = 24 * 60 * 60 * 1000;
+
+/* ---------- キャッシュ ---------- */
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * リクエストをキャッシュの対象にするか判定
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isCacheTarget(request) {
+  if (request.method !== 'GET') return false;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return false;
+
+  return request.mode === 'navigate' ||
+    CACHE_PATH_PREFIXES.some(prefix => url.pathname.startsWith(prefix));
+}
+
+/**
+ * キャッシュのキー
+ * - クエリを除いた URL でキャッシュする（クエリ違いの URL もオフラインで開けるように）
+ *   ページ（トップ・配信統計）はパスごとに別のキャッシュになる
+ * @param {Request} request
+ * @returns {string}
+ */
+function getCacheKey(request) {
+  return request.url.replace(/\?.*$/, '');
+}
+
+/**
+ * 最新を取得してキャッシュを更新する
+ * @param {Request} request
+ * @param {Cache} cache
+ * @returns {Promise<Response>}
+ */
+async function fetchAndCache(request, cache) {
+  const response = await fetch(request, { cache: 'no-store' });
+  if (response.ok) {
+    await cache.put(getCacheKey(request), response.clone());
+  }
+  return response;
+}
+
+/**
+ * 更新を知らせる対象のレスポンスが、キャッシュしていた内容から変わっていればページに知らせる
+ * @param {Request} request
+ * @param {Response} cached - キャッシュしていたレスポンス
+ * @param {Response} latest - 取得した最新のレスポンス
+ * @returns {Promise<void>}
+ */
+async function notifyIfUpdated(request, cached, latest) {
+  const url = new URL(request.url);
+  if (!latest.ok || !NOTIFY_UPDATE_PATH_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return;
+
+  const [before, after] = await Promise.all([cached.text(), latest.clone().text()]);
+  if (before === after) return;
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'cache:updated', url: url.pathname }));
+}
+
+/**
+ * stale-while-revalidate でレスポンスを返す
+ * （キャッシュがない・オフラインでキャッシュもない場合は取得結果・エラーをそのまま返す）
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+
+  const cached = await cache.match(getCacheKey(event.request));
+  const revalidate = fetchAndCache(event.request, cache);
+
+  if (cached) {
+    event.waitUntil(
+      revalidate
+        .then(latest => notifyIfUpdated(event.request, cached.clone(), latest))
+        .catch(() => {})
+    );
+    return cached;
+  }
+  return revalidate;
+}
+
+self.addEventListener('fetch', event => {
+  if (isCacheTarget(event.request)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+/* ---------- リマインダー ---------- */
+
+/**
+ * IndexedDB を開く
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'videoId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * リマインダーのストアを操作する
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} callback
+ * @returns {Promise<any>} callback が返したリクエストの結果
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * ページのリマインダー一覧で置き換える（通知済みの状態は引き継ぐ）
+ * @param {Array<Object>} reminders
+ * @returns {Promise<void>}
+ */
+async function syncReminders(reminders) {
+  const saved = await withStore('readonly', store => store.getAll());
+  const notifiedIds = new Set(saved.filter(reminder => reminder.notified).map(reminder => reminder.videoId));
+
+  await withStore('readwrite', store => {
+    store.clear();
+    reminders.forEach(reminder => {
+      store.put({ ...reminder, notified: notifiedIds.has(reminder.videoId) });
+    });
+  });
+}
+
+/**
+ * リマインダーの通知を表示する
+ * @param {Object} reminder
+ * @returns {Promise<void>}
+ */
+function showReminder(reminder) {
+  return self.registration.showNotification(`【まもなく配信】${reminder.memberName}`, {
+    body: reminder.title,
+    icon: '/assets/images/icon-192.png',
+    image: reminder.thumbnail,
+    tag: `reminder:${reminder.videoId}`,
+    data: { url: reminder.url }
+  });
+}
+
+/**
+ * 開始予定時刻を過ぎたリマインダーを通知し、古いものを削除する
+ * @returns {Promise<void>}
+ */
+async function checkReminders() {
+  if (Notification.permission !== 'granted') return;
+
+  const now = Date.now();
+  const reminders = await withStore('readonly', store => store.getAll());
+
+  for (const reminder of reminders) {
+    const start = new Date(reminder.scheduledStartTime).getTime();
+
+    if (now - start > REMINDER_EXPIRE_MS) {
+      await withStore('readwrite', store => store.delete(reminder.videoId));
+    } else if (start <= now && !reminder.notified) {
+      await withStore('readwrite', store => store.put({ ...reminder, notified: true }));
+      await showReminder(reminder);
+    }
+  }
+}
+
+self.addEventListener('message', event => {
+  switch (event.data?.type) {
+    case 'reminders:sync':
+      event.waitUntil(syncReminders(event.data.reminders).then(checkReminders));
+      break;
+
+    case 'reminders:check':
+      event.waitUntil(checkReminders());
+      break;
+  }
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === 'reminders') {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  const url = event.notification.data?.url;
+  if (url) {
+    event.waitUntil(self.clients.openWindow(url));
+  }
+});
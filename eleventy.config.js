@@ -0,0 +1,137 @@
+/**
+ * Eleventy 設定
+ *
+ * src/site のテンプレートから docs/ の HTML を生成する
+ * （docs/assets 以下の CSS・JS・データはそのまま配信する）
+ */
+
+import {
+  formatJST,
+  formatJSTDate,
+  formatViewers,
+  getBadgeLabel,
+  getSecondaryEntries,
+  groupCollabs,
+  isEnded,
+  sortLiveVideos
+} from './docs/assets/scripts/video.js';
+
+/**
+ * 曜日の表示名（0: 日曜日 〜 6: 土曜日）
+ */
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * X の検索語を URL 用にエンコードする
+ * （記号のみエンコードし、日本語はそのまま残す）
+ *
+ * @param {string} query - 例: "#天硝路ろまん" / "スナック浪漫 from:Tenshoji_Roman"
+ * @returns {string} 例: "%23天硝路ろまん" / "スナック浪漫%20from%3ATenshoji_Roman"
+ */
+function encodeXQuery(query) {
+  return query.replace(/[#: &?=+%]/g, char => encodeURIComponent(char));
+}
+
+export default function (eleventyConfig) {
+  eleventyConfig.addFilter('formatJST', formatJST);
+  eleventyConfig.addFilter('formatJSTDate', formatJSTDate);
+  eleventyConfig.addFilter('badgeLabel', getBadgeLabel);
+  eleventyConfig.addFilter('viewersLabel', formatViewers);
+  eleventyConfig.addFilter('weekdayLabel', weekday => WEEKDAY_LABELS[weekday]);
+  eleventyConfig.addFilter('formatNumber', value => value.toLocaleString('ja-JP'));
+
+  /**
+   * YYYY-MM-DD を月/日の表記にする（例: "2026-08-03" → "8/3"）
+   */
+  eleventyConfig.addFilter('monthDay', date => {
+    const [, month, day] = date.split('-');
+    return `${Number(month)}/${Number(day)}`;
+  });
+
+  /**
+   * X の検索URLを生成する
+   */
+  eleventyConfig.addFilter('xSearchUrl', query =>
+    `https://x.com/search?q=${encodeXQuery(query)}&f=live`
+  );
+
+  /**
+   * チャンネル一覧 → { チャンネルキー: { name: 表示名, color: メンバーカラー } }（main.js 用）
+   */
+  eleventyConfig.addFilter('channelDataMap', channels =>
+    Object.fromEntries(channels.map(channel => [
+      channel.key,
+      { name: channel.channelName, color: channel.profile?.color ?? null }
+    ]))
+  );
+
+  /**
+   * live_cache.json をチャンネル単位の表示グループにする
+   * （main.js の renderLiveList と同じ並び。コラボ配信は先頭の「コラボ配信」に1件ずつまとめ、
+   *   関連チャンネルの配信はその次の「公式・コラボ」にまとめる）
+   *
+   * コラボ配信・関連チャンネルの配信は main.js の createVideoCard と同じく参加者全員を表示する
+   * （participants[].url は他のメンバーの枠へのリンク。表示する枠自身・枠がない場合は null）
+   *
+   * @param {Object} liveCache
+   * @param {Object[]} channels
+   * @param {'active' | 'ended'} kind - 配信予定・配信中 / 最近終了した配信
+   * @returns {{ channelName: string, cards: { video: Object, collab: Object|null }[] }[]}
+   */
+  eleventyConfig.addFilter('liveGroups', (liveCache, channels, kind) => {
+    const nameMap = new Map(channels.map(channel => [channel.key, channel.channelName]));
+
+    /**
+     * 参加者を表示用にする
+     */
+    const toCollab = (video, participants, links, hostName = null) => ({
+      hostName,
+      participants: participants.map(key => ({
+        name: nameMap.get(key) ?? key,
+        url: links[key] && links[key] !== video ? links[key].url : null
+      }))
+    });
+
+    const entries = Object.entries(liveCache.channels ?? {}).flatMap(([key, videos]) =>
+      videos
+        .filter(video => (kind === 'ended') === isEnded(video))
+        .map(video => ({ key, video }))
+    );
+    const { solos, collabs } = groupCollabs(entries);
+
+    const collabGroup = {
+      channelName: 'コラボ配信',
+      cards: sortLiveVideos(collabs.map(collab => collab.video)).map(video => {
+        const collab = collabs.find(item => item.video === video);
+        return { video, collab: toCollab(video, collab.participants, collab.links) };
+      })
+    };
+
+    const secondaryEntries = getSecondaryEntries(liveCache)
+      .filter(({ video }) => (kind === 'ended') === isEnded(video));
+    const secondaryGroup = {
+      channelName: '公式・コラボ',
+      cards: sortLiveVideos(secondaryEntries.map(({ video }) => video)).map(video => {
+        const { channelName } = secondaryEntries.find(entry => entry.video === video);
+        return { video, collab: toCollab(video, video.participants, {}, channelName) };
+      })
+    };
+
+    const channelGroups = Object.keys(liveCache.channels ?? {}).map(key => ({
+      channelName: nameMap.get(key) ?? key,
+      cards: sortLiveVideos(solos.filter(solo => solo.key === key).map(solo => solo.video))
+        .map(video => ({ video, collab: null }))
+    }));
+
+    return [collabGroup, secondaryGroup, ...channelGroups].filter(group => group.cards.length);
+  });
+
+  return {
+    dir: {
+      input: 'src/site',
+      output: 'docs'
+    },
+    templateFormats: ['njk'],
+    htmlTemplateEngine: 'njk'
+  };
+}
@@ -2,7 +2,7 @@
  * 対象チャンネル定義
  *
  * 全スクリプト共通の単一情報源
- * fetch_videos.js / fetch_comments.js 共通
+ * fetch_youtube.js / fetch_videos.js / fetch_comments.js 共通
  */
 
 export const CHANNELS = {
@@ -35,3 +35,31 @@ export const CHANNELS = {
     excludeVideoIds: []
   }
 };
+
+/**
+ * メンバー以外の関連チャンネル定義（fetch_youtube.js のみ）
+ *
+ * role: 'official'（StellArt. 公式） / 'partner'（RIONECTION・ねくすとぴあ などコラボ相手のユニット）
+ * チャンネルは channelId（UC...）か handle（@...）で指定する
+ * （handle の場合は初回のみ channels.list でチャンネルIDを求め、live_cache.json に記録して以降の実行で使う）
+ *
+ * タイトルにメンバーの名前・ハッシュタグを含むか、概要欄でメンバーにメンションしている配信のみ
+ * live_cache.json の secondary に記録する（判定はコラボ配信の参加者判定と同じ。scripts/lib/collab.js）
+ */
+export const SECONDARY_CHANNELS = {
+  official: {
+    handle: '@StellArtOfficial',
+    channelName: 'StellArt. 公式',
+    role: 'official'
+  },
+  rionection: {
+    handle: '@RIONECTION',
+    channelName: 'RIONECTION',
+    role: 'partner'
+  },
+  nextopia: {
+    handle: '@nextopia',
+    channelName: 'ねくすとぴあ',
+    role: 'partner'
+  }
+};
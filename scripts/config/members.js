@@ -0,0 +1,95 @@
+/**
+ * メンバープロフィール定義
+ *
+ * チャンネルキーは scripts/config/channels.js と共通
+ * docs/index.html の「メンバー詳細」セクションはこの定義から Eleventy で生成する
+ * （src/site/_data/channels.js）
+ *
+ * color はカレンダーなどでメンバーを色分けする際の色
+ * collabKeywords はコラボ配信の判定に使う語（channels.js の channelName に加えて、
+ * 他のメンバーの配信タイトルにこの語が含まれていれば参加者とみなす。
+ * 概要欄は @ から始まるメンションとチャンネルへのリンクのみで判定する）
+ * hashtags[].query は X の検索語（text 省略時は query をそのまま表示する）
+ */
+
+export const MEMBERS = {
+  channelA: {
+    color: '#5b5b95',
+    collabKeywords: ['@RomanTenshoji'],
+    sns: [
+      { label: 'YouTube', url: 'https://www.youtube.com/@RomanTenshoji' },
+      { label: 'X', url: 'https://x.com/Tenshoji_Roman' },
+      { label: 'TikTok', url: 'https://www.tiktok.com/@tenshoji_roman' }
+    ],
+    fanName: 'モルモット君',
+    fanMark: '🧪🪭',
+    hashtags: [
+      { label: '総合', query: '#天硝路ろまん' },
+      { label: '配信', query: '#ろまん研究記録' },
+      { label: '切り抜き', query: '#ろまん先生の輝き処' },
+      { label: 'サーチ用', query: '#モルモット君の鳴き声' },
+      { label: 'ファンアート', query: '#ろまん絵巻' },
+      { label: 'サムネ', query: '#ろまん先生お手伝いします' },
+      { label: '天硝路ろまん生誕祭2025グッズ「クリアカード」使用写真', query: '#すてらぐらむ' },
+      { label: '企画：スナック浪漫', query: 'スナック浪漫 from:Tenshoji_Roman', text: 'スナック浪漫（タグなし）' }
+    ]
+  },
+  channelB: {
+    color: '#f0838a',
+    collabKeywords: ['@IoKanata'],
+    sns: [
+      { label: 'YouTube', url: 'https://www.youtube.com/@IoKanata' },
+      { label: 'X', url: 'https://x.com/IoKanata' },
+      { label: 'TikTok', url: 'https://www.tiktok.com/@kanata_io' }
+    ],
+    fanName: 'IO教団',
+    fanMark: '❤️‍🩹🗡',
+    hashtags: [
+      { label: '総合', query: '#華鉈イオ' },
+      { label: '配信', query: '#イオ観測' },
+      { label: '切り抜き', query: '#いおちょき' },
+      { label: 'サーチ用', query: '#かかってこいお' },
+      { label: 'ファンアート', query: '#いお絵かき' },
+      { label: 'サムネ', query: '#イオ仕え' },
+      { label: '企画：イオモニ', query: '#イオモニ' },
+      { label: '企画：華鉈イオの深夜喫茶', query: '#イオ喫' },
+      { label: 'お寝坊', query: '#おきてこいお' }
+    ]
+  },
+  channelC: {
+    color: '#3f9b8f',
+    collabKeywords: ['@StellArt.Niuhua'],
+    sns: [
+      { label: 'YouTube', url: 'https://www.youtube.com/@StellArt.Niuhua' },
+      { label: 'X', url: 'https://x.com/Niuhuaa' }
+    ],
+    fanName: 'ちえもの',
+    fanMark: '🪶📚',
+    hashtags: [
+      { label: '総合', query: '#にうふぁ' },
+      { label: '配信', query: '#にうふぁいしん' },
+      { label: '切り抜き', query: '#にう目録' },
+      { label: 'サーチ用', query: '#にうふぁいんど' },
+      { label: 'ファンアート・創作物', query: '#にうふァトリエ' },
+      { label: 'サムネ', query: '#ふぁ入稿' }
+    ]
+  },
+  channelD: {
+    color: '#c59a3c',
+    collabKeywords: ['@StellArt.Airina', '#アイリナゼファリオ'],
+    sns: [
+      { label: 'YouTube', url: 'https://www.youtube.com/@StellArt.Airina' },
+      { label: 'X', url: 'https://x.com/Airina_Zephalio' }
+    ],
+    fanName: '灯さん（ともしびさん）',
+    fanMark: '⏳🎼',
+    hashtags: [
+      { label: '総合', query: '#アイリナゼファリオ' },
+      { label: '配信', query: '#ゼファ旋律中' },
+      { label: '切り抜き', query: '#ゼファの断片' },
+      { label: 'サーチ用', query: '#ゼファ余韻' },
+      { label: 'ファンアート', query: '#ゼファ楽譜集' },
+      { label: 'サムネ', query: '#ゼファに捧ぐ' }
+    ]
+  }
+};
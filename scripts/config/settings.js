@@ -0,0 +1,56 @@
+/**
+ * スクリプト共通の動作設定
+ */
+
+export const SETTINGS = {
+  /**
+   * 配信終了後も live_cache.json に残しておく時間（時間）
+   * 0 の場合、終了した配信は残さない
+   */
+  endedRetentionHours: 24,
+
+  /**
+   * .ics に書き出す配信の想定時間（分）
+   * 終了時刻が分からない配信（配信予定・配信中）の DTEND に使う
+   */
+  icsEstimatedDurationMinutes: 120,
+
+  /**
+   * 終了・中止した配信を .ics に残しておく期間（日）
+   */
+  icsRetentionDays: 30,
+
+  /**
+   * 新着配信の Atom フィードに残す項目数
+   */
+  feedMaxItems: 50,
+
+  /**
+   * フィードに掲載済みの動画IDを feed_state.json に残しておく期間（日）
+   * 項目数の上限で押し出された枠を再び追加しないために使う（live_cache.json に残っている枠は期間を過ぎても残す）
+   */
+  feedSeenRetentionDays: 30,
+
+  /**
+   * schedule_changes.json に変更を残しておく期間（日）
+   */
+  scheduleChangeRetentionDays: 7,
+
+  /**
+   * Webhook の送信済みイベントを webhook_state.json に残しておく期間（日）
+   * この期間内は同じイベントを再送しない
+   */
+  webhookSentRetentionDays: 7,
+
+  /**
+   * フリーチャットの候補とみなす開始予定時刻（日）
+   * この日数以上先に予定された配信予定枠を freechat_candidates.json に記録する
+   */
+  freechatFarFutureDays: 30,
+
+  /**
+   * フリーチャットの候補を freechat.json に使うか
+   * true の場合、channels.js の freechatVideoId が更新されるまで候補の動画IDに差し替える
+   */
+  freechatAutoSwitch: false
+};
@@ -0,0 +1,26 @@
+/**
+ * 配信通知の Webhook 定義
+ *
+ * fetch_youtube.js が配信開始・新しい配信予定枠を検出したときに通知する
+ *
+ * - name: ログ・重複防止に使う識別名（一意）
+ * - format: discord（Discord の埋め込み形式） / json（汎用 JSON 形式）
+ * - urlEnv: Webhook URL を読み込む環境変数名（URL は公開しないため Secrets で渡す）
+ *   環境変数が設定されていない Webhook は通知しない
+ * - events: 通知するイベント（live: 配信開始 / upcoming: 新しい配信予定枠）
+ */
+
+export const WEBHOOKS = [
+  {
+    name: 'discord',
+    format: 'discord',
+    urlEnv: 'DISCORD_WEBHOOK_URL',
+    events: ['live', 'upcoming']
+  },
+  {
+    name: 'generic',
+    format: 'json',
+    urlEnv: 'GENERIC_WEBHOOK_URL',
+    events: ['live', 'upcoming']
+  }
+];
@@ -0,0 +1,261 @@
+/**
+ * YouTube Data API v3 を利用して各チャンネルの最近の動画のコメントを取得し、
+ * 動画ごとの JSON アーカイブを生成・更新する
+ *
+ * - docs/assets/data/json/comments/{videoId}.json
+ *   トップレベルコメントと返信の一覧
+ *
+ * 既存アーカイブがある場合は新着分のみ取得して追記する
+ * DISSALLOW_FETCH_COMMENTS_VIDEOS / excludeVideoIds / フリーチャットは対象外
+ */
+
+import fs from 'fs';
+import { CHANNELS } from './config/channels.js';
+import { DISSALLOW_FETCH_COMMENTS_VIDEOS } from './config/dissallow_fetch_comments_videos.js';
+import { validateChannels } from './lib/validate_channels.js';
+import { fetchRecentUploadIds, fetchYouTubeApi, YouTubeApiError } from './lib/youtube_api.js';
+
+const API_KEY = process.env.YOUTUBE_API_KEY;
+if (!API_KEY) {
+  throw new Error('YOUTUBE_API_KEY が設定されていません');
+}
+
+/**
+ * 起動時にチャンネル定義を検証する
+ */
+validateChannels(CHANNELS);
+
+/**
+ * 出力用ディレクトリパス（テストでは YOUTUBE_OUTPUT_DIR で差し替える）
+ */
+const OUTPUT_DIR = `${process.env.YOUTUBE_OUTPUT_DIR || 'docs/assets/data/json'}/comments`;
+
+/**
+ * 各チャンネルでコメントを取得する最近の動画の本数
+ */
+const RECENT_VIDEO_COUNT = 10;
+
+/**
+ * コメント取得対象外の動画ID一覧
+ */
+const SKIP_IDS = new Set([
+  ...DISSALLOW_FETCH_COMMENTS_VIDEOS,
+  ...Object.values(CHANNELS).map(channel => channel.freechatVideoId),
+  ...Object.values(CHANNELS).flatMap(channel => channel.excludeVideoIds)
+]);
+
+/**
+ * API の comment リソースをアーカイブ用の形式に変換する
+ *
+ * @param {Object} comment - comment リソース
+ * @returns {Object}
+ */
+function toArchiveComment(comment) {
+  const snippet = comment.snippet;
+
+  return {
+    id: comment.id,
+    authorDisplayName: snippet.authorDisplayName,
+    authorChannelId: snippet.authorChannelId?.value ?? null,
+    text: snippet.textOriginal,
+    likeCount: snippet.likeCount,
+    publishedAt: snippet.publishedAt,
+    updatedAt: snippet.updatedAt
+  };
+}
+
+/**
+ * 返信を ID で重複排除しながら公開日時の昇順にマージする
+ *
+ * @param {Object[]} current - 既存の返信
+ * @param {Object[]} incoming - 新しく取得した返信
+ * @returns {Object[]}
+ */
+function mergeReplies(current, incoming) {
+  const map = new Map(current.map(reply => [reply.id, reply]));
+  for (const reply of incoming) {
+    map.set(reply.id, reply);
+  }
+
+  return [...map.values()].sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+}
+
+/**
+ * スレッドの返信をすべて取得する（comments.list）
+ *
+ * @param {string} parentId - トップレベルコメントID
+ * @returns {Promise<Object[]>}
+ */
+async function fetchAllReplies(parentId) {
+  const replies = [];
+  let pageToken;
+
+  do {
+    const json = await fetchYouTubeApi('comments', {
+      part: 'snippet',
+      parentId,
+      maxResults: 100,
+      textFormat: 'plainText',
+      pageToken,
+      key: API_KEY
+    });
+
+    for (const item of json.items ?? []) {
+      replies.push(toArchiveComment(item));
+    }
+
+    pageToken = json.nextPageToken;
+  } while (pageToken);
+
+  return replies;
+}
+
+/**
+ * 既存のアーカイブを読み込む
+ *
+ * @param {string} videoId
+ * @returns {Object|null}
+ */
+function readArchive(videoId) {
+  const path = `${OUTPUT_DIR}/${videoId}.json`;
+  if (!fs.existsSync(path)) return null;
+
+  return JSON.parse(fs.readFileSync(path, 'utf-8'));
+}
+
+/**
+ * 1本の動画のコメントを取得してアーカイブを更新する
+ *
+ * commentThreads.list を新しい順に辿り、
+ * 既にアーカイブ済みのスレッドに到達したところで打ち切る
+ *
+ * @param {string} channelKey
+ * @param {string} videoId
+ * @returns {Promise<number>} 追加・更新したコメント数
+ */
+async function updateVideoComments(channelKey, videoId) {
+  const archive = readArchive(videoId) ?? {
+    videoId,
+    channelKey,
+    updatedAt: null,
+    threads: []
+  };
+
+  const threadMap = new Map(archive.threads.map(thread => [thread.id, thread]));
+  let changedCount = 0;
+  let reachedArchived = false;
+  let pageToken;
+
+  do {
+    const json = await fetchYouTubeApi('commentThreads', {
+      part: 'snippet,replies',
+      videoId,
+      order: 'time',
+      maxResults: 100,
+      textFormat: 'plainText',
+      pageToken,
+      key: API_KEY
+    });
+
+    for (const item of json.items ?? []) {
+      const totalReplyCount = item.snippet.totalReplyCount;
+      let thread = threadMap.get(item.id);
+
+      if (thread) {
+        reachedArchived = true;
+
+        // 既存スレッドは返信が増えていなければスキップ
+        if (thread.totalReplyCount === totalReplyCount) continue;
+      } else {
+        thread = {
+          id: item.id,
+          ...toArchiveComment(item.snippet.topLevelComment),
+          totalReplyCount: 0,
+          replies: []
+        };
+        threadMap.set(item.id, thread);
+      }
+
+      // commentThreads に含まれる返信は最大5件のため、足りない場合は comments.list で取得
+      const includedReplies = (item.replies?.comments ?? []).map(toArchiveComment);
+      const replies = includedReplies.length < totalReplyCount
+        ? await fetchAllReplies(item.id)
+        : includedReplies;
+
+      thread.totalReplyCount = totalReplyCount;
+      thread.replies = mergeReplies(thread.replies, replies);
+      changedCount++;
+    }
+
+    pageToken = json.nextPageToken;
+  } while (pageToken && !reachedArchived);
+
+  if (changedCount === 0) return 0;
+
+  archive.updatedAt = new Date().toISOString();
+  archive.threads = [...threadMap.values()]
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/${videoId}.json`,
+    JSON.stringify(archive, null, 2),
+    'utf-8'
+  );
+
+  return changedCount;
+}
+
+async function main() {
+  /**
+   * json用 ディレクトリを作成（存在しない場合）
+   */
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  /**
+   * アップロード動画の取得に失敗したチャンネルキー（他のチャンネルは取得を続ける）
+   */
+  const failedKeys = [];
+
+  for (const [key, channel] of Object.entries(CHANNELS)) {
+    let videoIds;
+    try {
+      videoIds = await fetchRecentUploadIds(channel.channelId, API_KEY, RECENT_VIDEO_COUNT);
+    } catch (error) {
+      console.error(`${channel.channelName}: アップロード動画の取得に失敗しました`, error);
+      failedKeys.push(key);
+      continue;
+    }
+
+    for (const videoId of videoIds) {
+      if (SKIP_IDS.has(videoId)) continue;
+
+      try {
+        const count = await updateVideoComments(key, videoId);
+        if (count > 0) {
+          console.log(`${channel.channelName} ${videoId}: ${count} 件のスレッドを更新しました`);
+        }
+      } catch (error) {
+        // コメント無効・配信前の動画などは個別にスキップする
+        if (error instanceof YouTubeApiError && error.status === 403 && error.reason !== 'quotaExceeded') {
+          console.warn(`${channel.channelName} ${videoId}: コメントを取得できません (${error.reason})`);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  if (failedKeys.length > 0) {
+    console.warn(`YouTube コメントアーカイブを更新しました（取得失敗: ${failedKeys.join(', ')}）`);
+  } else {
+    console.log('YouTube コメントアーカイブを更新しました');
+  }
+}
+
+/**
+ * 実行
+ */
+main().catch(error => {
+  console.error('スクリプト実行中にエラーが発生しました', error);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+/**
+ * YouTube Data API v3 を利用して各チャンネルの過去の配信・動画を取得し、
+ * チャンネルごとの JSON アーカイブを生成・更新する
+ *
+ * - docs/assets/data/json/videos/{channelKey}.json
+ *   配信・プレミア公開・Shorts・通常動画の一覧（追記のみ。excludeVideoIds の動画は含めない）
+ *
+ * 初回はアップロード動画をすべて取得し、以降は新着分と
+ * 未終了の配信（予定・配信中）のみ取得する
+ * （取得に失敗したチャンネルはスキップし、他のチャンネルのアーカイブは更新する）
+ */
+
+import fs from 'fs';
+import { CHANNELS } from './config/channels.js';
+import { validateChannels } from './lib/validate_channels.js';
+import { fetchNewUploadIds, fetchVideoDetails, parseDuration } from './lib/youtube_api.js';
+
+const API_KEY = process.env.YOUTUBE_API_KEY;
+if (!API_KEY) {
+  throw new Error('YOUTUBE_API_KEY が設定されていません');
+}
+
+/**
+ * 起動時にチャンネル定義を検証する
+ */
+validateChannels(CHANNELS);
+
+/**
+ * 出力用ディレクトリパス（テストでは YOUTUBE_OUTPUT_DIR で差し替える）
+ */
+const OUTPUT_DIR = `${process.env.YOUTUBE_OUTPUT_DIR || 'docs/assets/data/json'}/videos`;
+
+/**
+ * アーカイブ対象外の動画ID一覧
+ */
+const EXCLUDE_IDS = new Set(
+  Object.values(CHANNELS).flatMap(channel => channel.excludeVideoIds)
+);
+
+/**
+ * 再生時間だけで Shorts とみなす最大再生時間（秒）
+ */
+const SHORTS_MAX_SECONDS = 60;
+
+/**
+ * #shorts の指定があれば Shorts とみなす最大再生時間（秒）
+ */
+const TAGGED_SHORTS_MAX_SECONDS = 180;
+
+/**
+ * Shorts を示すハッシュタグ
+ */
+const SHORTS_HASHTAG_PATTERN = /#shorts\b/i;
+
+/**
+ * プレミア公開の開始前カウントダウンとみなす時間の範囲（秒）
+ * 公開終了後はプレミア公開と配信の区別が API から得られないため、
+ * 放送時間と動画の長さの差がこの範囲ならプレミア公開とみなす
+ */
+const PREMIERE_COUNTDOWN_RANGE = [30, 180];
+
+/**
+ * video リソースから Shorts か判定する
+ *
+ * Data API は Shorts かどうかを返さないため、再生時間とハッシュタグで推定する
+ * - 60秒以下
+ * - 180秒以下で、タイトル・概要欄・タグに #shorts を含む
+ *
+ * @param {Object} item - video リソース
+ * @param {number|null} durationSeconds
+ * @returns {boolean}
+ */
+function isShorts(item, durationSeconds) {
+  if (durationSeconds === null || durationSeconds === 0) return false;
+  if (durationSeconds <= SHORTS_MAX_SECONDS) return true;
+  if (durationSeconds > TAGGED_SHORTS_MAX_SECONDS) return false;
+
+  const { title = '', description = '', tags = [] } = item.snippet ?? {};
+  return [title, description, ...tags.map(tag => `#${tag.replace(/^#/, '')}`)]
+    .some(text => SHORTS_HASHTAG_PATTERN.test(text));
+}
+
+/**
+ * 動画の種別を判定する
+ *
+ * @param {Object} item - video リソース
+ * @param {string|undefined} previousType - アーカイブ済みの種別
+ * @returns {'stream' | 'premiere' | 'short' | 'video'}
+ */
+function classifyVideoType(item, previousType) {
+  // 配信前に判定した種別はそのまま使う
+  if (previousType) return previousType;
+
+  const detail = item.liveStreamingDetails;
+  const durationSeconds = parseDuration(item.contentDetails?.duration);
+
+  if (detail) {
+    // 配信前：プレミア公開は動画がアップロード済みのため長さを持つ
+    if (!detail.actualEndTime) {
+      return durationSeconds > 0 ? 'premiere' : 'stream';
+    }
+
+    // 終了後：放送時間が動画の長さ + カウントダウン程度ならプレミア公開
+    if (detail.actualStartTime && durationSeconds !== null) {
+      const broadcastSeconds =
+        (new Date(detail.actualEndTime) - new Date(detail.actualStartTime)) / 1000;
+      const diff = broadcastSeconds - durationSeconds;
+      const [min, max] = PREMIERE_COUNTDOWN_RANGE;
+
+      if (diff >= min && diff <= max) return 'premiere';
+    }
+
+    return 'stream';
+  }
+
+  return isShorts(item, durationSeconds) ? 'short' : 'video';
+}
+
+/**
+ * video リソースをアーカイブ用の形式に変換する
+ *
+ * @param {Object} item - video リソース
+ * @param {Object|undefined} previous - アーカイブ済みのエントリ
+ * @returns {Object}
+ */
+function toArchiveEntry(item, previous) {
+  const detail = item.liveStreamingDetails ?? {};
+  const isBroadcast = Boolean(item.liveStreamingDetails);
+
+  // 配信前・配信中は種別を確定させない
+  const type = classifyVideoType(
+    item,
+    isBroadcast && !detail.actualEndTime ? undefined : previous?.type
+  );
+
+  return {
+    videoId: item.id,
+    title: item.snippet.title,
+    type,
+    publishedAt: item.snippet.publishedAt,
+    duration: item.contentDetails.duration,
+    durationSeconds: parseDuration(item.contentDetails.duration),
+    scheduledStartTime: detail.scheduledStartTime ?? null,
+    actualStartTime: detail.actualStartTime ?? null,
+    actualEndTime: detail.actualEndTime ?? null
+  };
+}
+
+/**
+ * 再取得が必要なエントリか判定する（配信予定・配信中）
+ *
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isPending(entry) {
+  return (entry.type === 'stream' || entry.type === 'premiere') &&
+    !entry.actualEndTime &&
+    !entry.removed;
+}
+
+/**
+ * 既存のアーカイブを読み込む
+ *
+ * @param {string} channelKey
+ * @returns {Object|null}
+ */
+function readArchive(channelKey) {
+  const path = `${OUTPUT_DIR}/${channelKey}.json`;
+  if (!fs.existsSync(path)) return null;
+
+  return JSON.parse(fs.readFileSync(path, 'utf-8'));
+}
+
+/**
+ * 1チャンネル分のアーカイブを更新する
+ *
+ * @param {string} key - チャンネルキー
+ * @param {Object} channel - チャンネル定義
+ * @returns {Promise<{ added: number, updated: number }>}
+ */
+async function updateChannelArchive(key, channel) {
+  const archive = readArchive(key) ?? {
+    channelKey: key,
+    channelId: channel.channelId,
+    channelName: channel.channelName,
+    updatedAt: null,
+    videos: []
+  };
+
+  // 後から除外指定された動画はアーカイブからも取り除く
+  const entryMap = new Map(
+    archive.videos
+      .filter(entry => !EXCLUDE_IDS.has(entry.videoId))
+      .map(entry => [entry.videoId, entry])
+  );
+  const removedCount = archive.videos.length - entryMap.size;
+
+  // 除外指定の動画は既知扱いにしない（初回取得がそこで打ち切られるため）
+  const newIds = (await fetchNewUploadIds(channel.channelId, API_KEY, new Set(entryMap.keys())))
+    .filter(videoId => !EXCLUDE_IDS.has(videoId));
+  const pendingIds = archive.videos.filter(isPending).map(entry => entry.videoId);
+  const targetIds = [...newIds, ...pendingIds];
+
+  if (targetIds.length === 0 && removedCount === 0) return { added: 0, updated: 0 };
+
+  const items = await fetchVideoDetails(
+    targetIds,
+    ['snippet', 'contentDetails', 'liveStreamingDetails'],
+    API_KEY
+  );
+  const itemMap = new Map(items.map(item => [item.id, item]));
+
+  let added = 0;
+  let updated = removedCount;
+
+  for (const videoId of targetIds) {
+    const previous = entryMap.get(videoId);
+    const item = itemMap.get(videoId);
+
+    // 削除・非公開になった動画は残したまま再取得対象から外す
+    if (!item) {
+      if (previous) {
+        previous.removed = true;
+        updated++;
+      }
+      continue;
+    }
+
+    entryMap.set(videoId, toArchiveEntry(item, previous));
+
+    if (previous) {
+      updated++;
+    } else {
+      added++;
+    }
+  }
+
+  archive.channelName = channel.channelName;
+  archive.updatedAt = new Date().toISOString();
+  archive.videos = [...entryMap.values()]
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/${key}.json`,
+    JSON.stringify(archive, null, 2),
+    'utf-8'
+  );
+
+  return { added, updated };
+}
+
+async function main() {
+  /**
+   * json用 ディレクトリを作成（存在しない場合）
+   */
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  /**
+   * 取得に失敗したチャンネルキー（他のチャンネルのアーカイブは更新を続ける）
+   */
+  const failedKeys = [];
+
+  for (const [key, channel] of Object.entries(CHANNELS)) {
+    try {
+      const { added, updated } = await updateChannelArchive(key, channel);
+      console.log(`${channel.channelName}: ${added} 件追加 / ${updated} 件更新`);
+    } catch (error) {
+      console.error(`${channel.channelName}: 動画アーカイブの更新に失敗しました`, error);
+      failedKeys.push(key);
+    }
+  }
+
+  if (failedKeys.length > 0) {
+    console.warn(`YouTube 動画アーカイブを更新しました（取得失敗: ${failedKeys.join(', ')}）`);
+  } else {
+    console.log('YouTube 動画アーカイブを更新しました');
+  }
+}
+
+/**
+ * 実行
+ */
+main().catch(error => {
+  console.error('スクリプト実行中にエラーが発生しました', error);
+  process.exit(1);
+});
@@ -3,14 +3,77 @@
  * 以下の JSON キャッシュを生成する
  *
  * - docs/assets/data/json/live_cache.json
- *   各チャンネルの配信予定・配信中情報（フリーチャット除外）
+ *   各チャンネルの配信予定・配信中・最近終了した配信の情報
+ *   （フリーチャット・除外指定動画を除く）
+ *   関連チャンネル（公式・コラボ相手）の配信はメンバーが参加するもののみ secondary に記録する
+ *   取得に失敗したチャンネルは前回の内容を引き継ぎ、channelStatus に記録する
  *
  * - docs/assets/data/json/freechat.json
  *   各チャンネルのフリーチャット配信（動画ID固定）
+ *   概要欄・固定コメントから読み取った配信スケジュールを含む
+ *
+ * - docs/assets/data/json/freechat_candidates.json
+ *   新しく立てられたフリーチャットらしい配信予定枠（channels.js の更新漏れの確認用）
+ *   SETTINGS.freechatAutoSwitch が有効な場合は、候補の動画IDを freechat.json に使い配信予定から除く
+ *
+ * - docs/assets/data/ics/{channelKey}.ics / all.ics
+ *   カレンダーアプリ購読用の配信予定（チャンネルごと・全体）
+ *   イベントの状態は docs/assets/data/json/ics_state.json に引き継ぐ
+ *
+ * - docs/assets/data/feed/atom.xml
+ *   新しく現れた配信予定・配信中の枠の Atom フィード
+ *   掲載済みの項目・動画IDは docs/assets/data/json/feed_state.json に引き継ぐ
+ *
+ * - docs/assets/data/json/schedule_changes.json
+ *   前回の live_cache.json と比べて検出した新規告知・時間変更・中止・タイトル変更
+ *
+ * - docs/assets/data/json/stream_history.json
+ *   終了した配信の開始・終了時刻と最大同時視聴者数（前回のキャッシュと比べて終了に変わった配信を追記する）
+ *
+ * - docs/assets/data/json/stream_stats.json
+ *   stream_history.json のメンバー別集計（配信統計ページ用）
+ *
+ * あわせて、配信開始・新しい配信予定枠を scripts/config/webhooks.js の Webhook に通知する
+ * （送信済み・送信に失敗したイベントは docs/assets/data/json/webhook_state.json に引き継ぐ）
  */
 
 import fs from 'fs';
-import fetch from 'node-fetch';
+import { CHANNELS, SECONDARY_CHANNELS } from './config/channels.js';
+import { MEMBERS } from './config/members.js';
+import { SETTINGS } from './config/settings.js';
+import { WEBHOOKS } from './config/webhooks.js';
+import { buildAtomFeed, updateFeedItems } from './lib/atom_feed.js';
+import { getCollabKeywords } from './lib/collab.js';
+import {
+  addFreechatOverrides,
+  applyFreechatOverrides,
+  carryOverFreechatOverrides,
+  detectFreechatCandidates,
+  omitVideos,
+  selectFreechatOverrides
+} from './lib/freechat_rotation.js';
+import { findPinnedText } from './lib/freechat_schedule.js';
+import { buildICalendarFiles, updateCalendarEvents } from './lib/ical.js';
+import {
+  buildFreechatResult,
+  buildLiveCache,
+  getExcludeIds,
+  getFreechatIds,
+  getResolvedChannelId,
+  selectCandidateIds
+} from './lib/live_cache.js';
+import { detectScheduleChanges, mergeScheduleChanges } from './lib/schedule_changes.js';
+import { appendStreamHistory } from './lib/stream_history.js';
+import { computeStreamStats } from './lib/stream_stats.js';
+import { validateChannels } from './lib/validate_channels.js';
+import { addPendingEvents, detectNotifyEvents, notifyWebhooks, pruneSentEvents } from './lib/webhooks.js';
+import {
+  fetchChannelIdByHandle,
+  fetchRecentUploadIds,
+  fetchTopCommentThreads,
+  fetchVideoDetails,
+  formatQuotaUsage
+} from './lib/youtube_api.js';
 
 const API_KEY = process.env.YOUTUBE_API_KEY;
 if (!API_KEY) {
@@ -18,192 +81,373 @@ if (!API_KEY) {
 }
 
 /**
- * 対象チャンネル定義
- */
-const CHANNELS = {
-  channelA: {
-    channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g',
-    channelName: '天硝路ろまん',
-    freechatVideoId: 'k0g-C_oCYb0'
-  },
-  channelB: {
-    channelId: 'UCFernrRmaCRoOjZ55pwNxpw',
-    channelName: '華鉈イオ',
-    freechatVideoId: 'foFBBmkRyf0'
-  },
-  channelC: {
-    channelId: 'UCQp7x7j2luIdUscWmJ3nTNg',
-    channelName: 'にうふぁ',
-    freechatVideoId: 'Fib2BCqTQxY'
-  },
-  channelD: {
-    channelId: 'UCKB9sNaOhnkx4jtsYeWEd4g',
-    channelName: 'アイリナ・ゼファリオ',
-    freechatVideoId: 'NO3p81om8Es'
-  }
-};
+ * 起動時にチャンネル定義を検証する
+ */
+validateChannels(CHANNELS, SECONDARY_CHANNELS, MEMBERS);
+
+/**
+ * 出力用ディレクトリパス（テスト時は YOUTUBE_OUTPUT_DIR で差し替える）
+ */
+const OUTPUT_DIR = process.env.YOUTUBE_OUTPUT_DIR || 'docs/assets/data/json';
+
+/**
+ * .ics 出力用ディレクトリパス（テスト時は YOUTUBE_ICS_OUTPUT_DIR で差し替える）
+ */
+const ICS_OUTPUT_DIR = process.env.YOUTUBE_ICS_OUTPUT_DIR || 'docs/assets/data/ics';
+
+/**
+ * Atom フィード出力用ディレクトリパス（テスト時は YOUTUBE_FEED_OUTPUT_DIR で差し替える）
+ */
+const FEED_OUTPUT_DIR = process.env.YOUTUBE_FEED_OUTPUT_DIR || 'docs/assets/data/feed';
+
+/**
+ * 詳細確認の対象外とする動画ID一覧（フリーチャット + 除外指定）
+ */
+const SKIP_IDS = new Set([
+  ...getFreechatIds(CHANNELS),
+  ...getExcludeIds(CHANNELS)
+]);
+
+/**
+ * 各チャンネルで確認する最近のアップロード動画の本数
+ */
+const RECENT_UPLOAD_COUNT = 10;
+
+/**
+ * 配信終了後に残しておく時間（ミリ秒）
+ */
+const ENDED_RETENTION_MS = SETTINGS.endedRetentionHours * 60 * 60 * 1000;
+
+/**
+ * .ics に書き出す配信の想定時間（ミリ秒）
+ */
+const ICS_ESTIMATED_DURATION_MS = SETTINGS.icsEstimatedDurationMinutes * 60 * 1000;
+
+/**
+ * 終了・中止した配信を .ics に残す期間（ミリ秒）
+ */
+const ICS_RETENTION_MS = SETTINGS.icsRetentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * フィードに掲載済みの動画IDを残す期間（ミリ秒）
+ */
+const FEED_SEEN_RETENTION_MS = SETTINGS.feedSeenRetentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * 配信予定の変更を残す期間（ミリ秒）
+ */
+const SCHEDULE_CHANGE_RETENTION_MS = SETTINGS.scheduleChangeRetentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Webhook の送信済みイベントを残す期間（ミリ秒）
+ */
+const WEBHOOK_SENT_RETENTION_MS = SETTINGS.webhookSentRetentionDays * 24 * 60 * 60 * 1000;
 
 /**
- * フリーチャット動画ID一覧
+ * フリーチャットの候補とみなす開始予定時刻までの時間（ミリ秒）
  */
-const FREECHAT_IDS = new Set(
-  Object.values(CHANNELS).map(channel => channel.freechatVideoId)
-);
+const FREECHAT_FAR_FUTURE_MS = SETTINGS.freechatFarFutureDays * 24 * 60 * 60 * 1000;
 
 /**
- * 動画IDからサムネイルURLを生成する
+ * 前回の JSON（live_cache.json / ics_state.json など）を読み込む
  *
- * @param {string} videoId - YouTube動画ID
- * @param {'max' | 'hq' | 'mq'} size - サムネイルサイズ
- * @returns {string} サムネイル画像URL
- */
-function getThumbnail(videoId, size = 'max') {
-  switch (size) {
-    case 'max':
-      return `https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`;
-    case 'hq':
-      return `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
-    default:
-      return `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`;
+ * @param {string} path
+ * @returns {Object|null}
+ */
+function readPreviousCache(path) {
+  if (!fs.existsSync(path)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
   }
 }
 
 async function main() {
   /**
-   * live_cache.json 用の結果オブジェクト
+   * 前回のキャッシュ（配信予定の再確認・取得失敗時の引き継ぎ用）
    */
-  const liveResult = {
-    updatedAt: new Date().toISOString(),
-    channels: {}
-  };
+  const previousCache = readPreviousCache(`${OUTPUT_DIR}/live_cache.json`);
 
   /**
-   * freechat.json 用の結果オブジェクト
+   * 前回のカレンダーイベントの状態（変更・中止の判定用）
    */
-  const freechatResult = {};
+  const previousIcsState = readPreviousCache(`${OUTPUT_DIR}/ics_state.json`);
 
   /**
-   * videos.list API に渡す動画ID一覧
-   * （search.list + freechat でまとめて収集）
+   * 前回までにフィードへ掲載した項目（重複掲載の防止用）
+   */
+  const previousFeedState = readPreviousCache(`${OUTPUT_DIR}/feed_state.json`);
+
+  /**
+   * 前回までの配信予定の変更履歴
+   */
+  const previousScheduleChanges = readPreviousCache(`${OUTPUT_DIR}/schedule_changes.json`);
+
+  /**
+   * 前回のフリーチャット（スケジュールの引き継ぎ用）
+   */
+  const previousFreechat = readPreviousCache(`${OUTPUT_DIR}/freechat.json`);
+
+  /**
+   * Webhook の送信済みイベント（重複送信の防止用）
+   */
+  const previousWebhookState = readPreviousCache(`${OUTPUT_DIR}/webhook_state.json`);
+
+  /**
+   * 前回のフリーチャットの候補・差し替え
+   */
+  const previousFreechatReport = readPreviousCache(`${OUTPUT_DIR}/freechat_candidates.json`);
+
+  /**
+   * 前回までの配信履歴
+   */
+  const previousStreamHistory = readPreviousCache(`${OUTPUT_DIR}/stream_history.json`);
+
+  /**
+   * 前回までのフリーチャットの差し替えのうち、channels.js が更新されていないもの
+   */
+  const carriedOverrides = SETTINGS.freechatAutoSwitch
+    ? carryOverFreechatOverrides(previousFreechatReport?.overrides ?? {}, CHANNELS)
+    : {};
+
+  /**
+   * 詳細確認の対象外とする動画ID一覧（差し替えたフリーチャットも含む）
    */
-  const videoIdsForDetail = [];
+  const skipIds = new Set([
+    ...SKIP_IDS,
+    ...Object.values(carriedOverrides).map(override => override.videoId)
+  ]);
 
   /**
-   * 出力用ディレクトリパス
+   * チャンネルキー → 取得時のエラー（取得に失敗したチャンネルのみ）
+   */
+  const channelErrors = new Map();
+
+  /**
+   * チャンネルキー → 詳細を確認する動画ID一覧
+   */
+  const candidateIdsMap = new Map();
+
+  /**
+   * videos.list API に渡す動画ID一覧
+   * （アップロード動画 + 前回の配信予定・配信中 + freechat でまとめて収集）
    */
-  const OUTPUT_DIR = 'docs/assets/data/json';
+  const videoIdsForDetail = new Set();
 
   /**
-   * 各チャンネルの search.list
+   * 各チャンネルのアップロード動画再生リスト（playlistItems.list）
    */
   for (const [key, channel] of Object.entries(CHANNELS)) {
-    /**
-     * search.list API
-     * 配信予定（upcoming）の動画を取得する
-     */
-    const searchUrl =
-      'https://www.googleapis.com/youtube/v3/search' +
-      '?part=snippet' +
-      `&channelId=${channel.channelId}` +
-      '&type=video' +
-      '&order=date' +
-      '&maxResults=10' +
-      `&key=${API_KEY}`;
-
-    const searchResponse = await fetch(searchUrl);
-    const searchJson = await searchResponse.json();
-
-    liveResult.channels[key] = [];
-
-    if (searchJson.items) {
-      for (const item of searchJson.items) {
-        const videoId = item.id.videoId;
-
-        // フリーチャット除外
-        if (FREECHAT_IDS.has(videoId)) continue;
-
-        liveResult.channels[key].push({
-          videoId,
-          title: item.snippet.title,
-          thumbnail: getThumbnail(videoId, 'hq'),
-          url: `https://www.youtube.com/watch?v=${videoId}`,
-          status: 'upcoming',
-          scheduledStartTime: null,
-          actualStartTime: null,
-          actualEndTime: null
-        });
-
-        videoIdsForDetail.push(videoId);
+    videoIdsForDetail.add(carriedOverrides[key]?.videoId ?? channel.freechatVideoId);
+
+    let uploadIds;
+    try {
+      uploadIds = await fetchRecentUploadIds(channel.channelId, API_KEY, RECENT_UPLOAD_COUNT);
+    } catch (error) {
+      console.error(`${channel.channelName}: アップロード動画の取得に失敗しました`);
+      channelErrors.set(key, error);
+      continue;
+    }
+
+    const candidateIds = selectCandidateIds(
+      uploadIds,
+      previousCache?.channels?.[key] ?? [],
+      skipIds
+    );
+
+    candidateIdsMap.set(key, candidateIds);
+    candidateIds.forEach(videoId => videoIdsForDetail.add(videoId));
+  }
+
+  /**
+   * 関連チャンネル（公式・コラボ相手）のアップロード動画再生リスト
+   * （handle で指定したチャンネルは前回求めたチャンネルIDを使い、ない場合のみ channels.list で求める）
+   */
+  const resolvedSecondaryChannels = {};
+
+  for (const [key, channel] of Object.entries(SECONDARY_CHANNELS)) {
+    resolvedSecondaryChannels[key] = channel;
+
+    let uploadIds;
+    try {
+      let channelId = channel.channelId ?? getResolvedChannelId(previousCache, key, channel);
+      if (!channelId) {
+        channelId = await fetchChannelIdByHandle(channel.handle, API_KEY);
+        console.log(`${channel.channelName}: ${channel.handle} のチャンネルIDは ${channelId} です`);
       }
+      resolvedSecondaryChannels[key] = { ...channel, channelId };
+
+      uploadIds = await fetchRecentUploadIds(channelId, API_KEY, RECENT_UPLOAD_COUNT);
+    } catch (error) {
+      console.error(`${channel.channelName}: アップロード動画の取得に失敗しました`);
+      channelErrors.set(key, error);
+      continue;
     }
 
-    /**
-     * freechat.json 用
-     */
-    freechatResult[key] = {
-      videoId: channel.freechatVideoId,
-      channelName: channel.channelName,
-      thumbnail: getThumbnail(channel.freechatVideoId, 'max')
-    };
+    const candidateIds = selectCandidateIds(
+      uploadIds,
+      previousCache?.secondary?.[key]?.videos ?? [],
+      skipIds
+    );
 
-    videoIdsForDetail.push(channel.freechatVideoId);
+    candidateIdsMap.set(key, candidateIds);
+    candidateIds.forEach(videoId => videoIdsForDetail.add(videoId));
   }
 
   /**
-   * videos.list（liveStreamingDetails 取得）
+   * videos.list（snippet / contentDetails / statistics / liveStreamingDetails 取得、50件ずつ）
+   * （part の数によらず 1 unit）
    */
   const videoDetailMap = new Map();
 
-  if (videoIdsForDetail.length > 0) {
-    const detailUrl =
-      'https://www.googleapis.com/youtube/v3/videos' +
-      '?part=liveStreamingDetails' +
-      `&id=${videoIdsForDetail.join(',')}` +
-      `&key=${API_KEY}`;
+  try {
+    const detailItems = await fetchVideoDetails(
+      [...videoIdsForDetail],
+      ['snippet', 'contentDetails', 'statistics', 'liveStreamingDetails'],
+      API_KEY
+    );
 
-    const detailResponse = await fetch(detailUrl);
-    const detailJson = await detailResponse.json();
-
-    if (detailJson.items) {
-      for (const item of detailJson.items) {
-        videoDetailMap.set(item.id, item.liveStreamingDetails || null);
-      }
+    for (const item of detailItems) {
+      videoDetailMap.set(item.id, item);
+    }
+  } catch (error) {
+    // 詳細が取れない場合は全チャンネルを取得失敗として扱う
+    console.error('動画詳細の取得に失敗しました');
+    for (const key of candidateIdsMap.keys()) {
+      channelErrors.set(key, error);
     }
   }
 
+  const now = new Date();
+
   /**
-   * 配信情報マージ
-   * - live / upcoming のみ残す
-   * - Shorts / 通常動画 / ended は除外
-   */
-  for (const channelKey of Object.keys(liveResult.channels)) {
-    liveResult.channels[channelKey] = liveResult.channels[channelKey]
-      .map(entry => {
-        const detail = videoDetailMap.get(entry.videoId);
-
-        // liveStreamingDetails を持たない動画は除外（Shorts / 通常動画）
-        if (!detail) return null;
-
-        // 配信中
-        if (detail.actualStartTime && !detail.actualEndTime) {
-          entry.status = 'live';
-          entry.actualStartTime = detail.actualStartTime;
-          return entry;
-        }
-
-        // 配信予定
-        if (detail.scheduledStartTime && !detail.actualStartTime) {
-          entry.status = 'upcoming';
-          entry.scheduledStartTime = detail.scheduledStartTime;
-          return entry;
-        }
-
-        // 終了済み or その他は除外
-        return null;
-      })
-      .filter(Boolean);
+   * 取得結果（フリーチャットの候補の検出用。差し替えたフリーチャットは除く前）
+   */
+  const builtLiveResult = buildLiveCache({
+    channels: CHANNELS,
+    secondaryChannels: resolvedSecondaryChannels,
+    candidateIdsMap,
+    videoDetailMap,
+    channelErrors,
+    previousCache,
+    now,
+    retentionMs: ENDED_RETENTION_MS,
+    collabKeywords: getCollabKeywords(CHANNELS, MEMBERS)
+  });
+
+  for (const channelKey of channelErrors.keys()) {
+    const channel = CHANNELS[channelKey] ?? SECONDARY_CHANNELS[channelKey];
+    console.warn(`${channel.channelName}: 前回のキャッシュを引き継ぎます`);
   }
 
+  /**
+   * freechat_candidates.json 用のフリーチャットの候補・差し替え
+   */
+  const freechatCandidates = detectFreechatCandidates({
+    liveCache: builtLiveResult,
+    channels: CHANNELS,
+    previousCandidates: previousFreechatReport?.candidates ?? [],
+    now,
+    farFutureMs: FREECHAT_FAR_FUTURE_MS
+  });
+
+  const freechatOverrides = SETTINGS.freechatAutoSwitch
+    ? addFreechatOverrides(carriedOverrides, selectFreechatOverrides(freechatCandidates), CHANNELS, now)
+    : {};
+
+  for (const candidate of freechatCandidates) {
+    console.warn(
+      `${CHANNELS[candidate.channelKey].channelName}: フリーチャットの候補があります ` +
+      `(${candidate.videoId}, ${candidate.reasons.join(', ')})`
+    );
+  }
+
+  /**
+   * 今回差し替えたフリーチャットは配信予定として扱わない
+   * （前回のキャッシュからも除き、中止と判定しないようにする）
+   */
+  const switchedIds = new Set(Object.values(freechatOverrides).map(override => override.videoId));
+  const liveResult = omitVideos(builtLiveResult, switchedIds);
+  const comparedCache = omitVideos(previousCache, switchedIds);
+
+  /**
+   * フリーチャットの動画IDを差し替えたチャンネル定義
+   */
+  const freechatChannels = applyFreechatOverrides(CHANNELS, freechatOverrides);
+
+  /**
+   * チャンネルキー → フリーチャットの固定コメントの本文
+   * （取得できなくても概要欄のスケジュールは使えるため、失敗しても続行する）
+   */
+  const pinnedTextMap = new Map();
+
+  for (const [key, channel] of Object.entries(freechatChannels)) {
+    try {
+      const threads = await fetchTopCommentThreads(channel.freechatVideoId, API_KEY);
+      pinnedTextMap.set(key, findPinnedText(threads, channel.channelId));
+    } catch {
+      console.warn(`${channel.channelName}: フリーチャットの固定コメントを取得できませんでした`);
+    }
+  }
+
+  /**
+   * schedule_changes.json 用の変更履歴
+   */
+  const newScheduleChanges = detectScheduleChanges(comparedCache, liveResult, now);
+  const scheduleChanges = mergeScheduleChanges(
+    previousScheduleChanges?.changes ?? [],
+    newScheduleChanges,
+    now,
+    SCHEDULE_CHANGE_RETENTION_MS
+  );
+
+  /**
+   * freechat.json 用の結果オブジェクト
+   */
+  const freechatResult = buildFreechatResult(freechatChannels, {
+    videoDetailMap,
+    pinnedTextMap,
+    previousFreechat,
+    now
+  });
+
+  /**
+   * ics_state.json 用のカレンダーイベント
+   */
+  const calendarEvents = updateCalendarEvents({
+    previousEvents: previousIcsState?.events ?? {},
+    liveCache: liveResult,
+    channels: CHANNELS,
+    now,
+    estimatedDurationMs: ICS_ESTIMATED_DURATION_MS,
+    retentionMs: ICS_RETENTION_MS
+  });
+
+  /**
+   * feed_state.json 用のフィード項目
+   */
+  const feed = updateFeedItems({
+    previousItems: previousFeedState?.items ?? [],
+    previousSeenIds: previousFeedState?.seenIds ?? {},
+    liveCache: liveResult,
+    channels: CHANNELS,
+    now,
+    maxItems: SETTINGS.feedMaxItems,
+    seenRetentionMs: FEED_SEEN_RETENTION_MS
+  });
+
+  /**
+   * stream_history.json 用の配信履歴
+   */
+  const streamHistory = appendStreamHistory({
+    previousStreams: previousStreamHistory?.streams ?? [],
+    previousCache: comparedCache,
+    liveCache: liveResult,
+    videoDetailMap
+  });
+
   /**
    * json用 ディレクトリを作成（存在しない場合）
    */
@@ -224,7 +468,105 @@ async function main() {
     'utf-8'
   );
 
-  console.log('YouTube 配信キャッシュを更新しました');
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/schedule_changes.json`,
+    JSON.stringify({ updatedAt: now.toISOString(), changes: scheduleChanges }, null, 2),
+    'utf-8'
+  );
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/freechat_candidates.json`,
+    JSON.stringify({
+      updatedAt: now.toISOString(),
+      autoSwitch: SETTINGS.freechatAutoSwitch,
+      candidates: freechatCandidates,
+      overrides: freechatOverrides
+    }, null, 2),
+    'utf-8'
+  );
+
+  for (const change of newScheduleChanges) {
+    console.log(`配信予定の変更を検出しました: ${change.type} ${change.videoId}`);
+  }
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/stream_history.json`,
+    JSON.stringify({ updatedAt: now.toISOString(), streams: streamHistory.streams }, null, 2),
+    'utf-8'
+  );
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/stream_stats.json`,
+    JSON.stringify({
+      updatedAt: now.toISOString(),
+      streamCount: streamHistory.streams.length,
+      members: computeStreamStats(streamHistory.streams, CHANNELS, now)
+    }, null, 2),
+    'utf-8'
+  );
+
+  if (streamHistory.added.length > 0) {
+    console.log(`配信履歴に追加しました: ${streamHistory.added.map(stream => stream.videoId).join(', ')}`);
+  }
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/ics_state.json`,
+    JSON.stringify({ updatedAt: now.toISOString(), events: calendarEvents }, null, 2),
+    'utf-8'
+  );
+
+  /**
+   * .ics ファイルを書き出す
+   */
+  fs.mkdirSync(ICS_OUTPUT_DIR, { recursive: true });
+
+  for (const { fileName, content } of buildICalendarFiles({ channels: CHANNELS, events: calendarEvents, now })) {
+    fs.writeFileSync(`${ICS_OUTPUT_DIR}/${fileName}`, content, 'utf-8');
+  }
+
+  /**
+   * Atom フィードを書き出す
+   */
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/feed_state.json`,
+    JSON.stringify({ updatedAt: now.toISOString(), items: feed.items, seenIds: feed.seenIds }, null, 2),
+    'utf-8'
+  );
+
+  fs.mkdirSync(FEED_OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(`${FEED_OUTPUT_DIR}/atom.xml`, buildAtomFeed(feed.items, now), 'utf-8');
+
+  if (feed.added.length > 0) {
+    console.log(`新着配信をフィードに追加しました: ${feed.added.map(item => item.videoId).join(', ')}`);
+  }
+
+  /**
+   * Webhook で通知する
+   */
+  const webhookResult = await notifyWebhooks({
+    webhooks: WEBHOOKS,
+    events: addPendingEvents(
+      detectNotifyEvents(comparedCache, liveResult, CHANNELS, MEMBERS),
+      previousWebhookState?.pending ?? [],
+      liveResult
+    ),
+    sent: pruneSentEvents(previousWebhookState?.sent ?? {}, now, WEBHOOK_SENT_RETENTION_MS),
+    env: process.env,
+    now
+  });
+
+  fs.writeFileSync(
+    `${OUTPUT_DIR}/webhook_state.json`,
+    JSON.stringify({ updatedAt: now.toISOString(), ...webhookResult }, null, 2),
+    'utf-8'
+  );
+
+  if (channelErrors.size > 0) {
+    console.warn(`YouTube 配信キャッシュを更新しました（取得失敗: ${[...channelErrors.keys()].join(', ')}）`);
+  } else {
+    console.log('YouTube 配信キャッシュを更新しました');
+  }
+  console.log(`API クォータ使用量: ${formatQuotaUsage()}`);
 }
 
 /**
@@ -0,0 +1,154 @@
+/**
+ * 新着配信の Atom フィードの組み立て処理
+ *
+ * live_cache.json に新しく現れた配信予定・配信中の枠をフィードの項目として追加する
+ * 30分ごとの実行で同じ枠が重複しないよう、掲載済みの項目は feed_state.json に保存して引き継ぐ
+ *
+ * 項目は上限（feedMaxItems）で切るため、重複の判定には別に保存する掲載済みの動画ID（seenIds）を使う
+ * （上限で押し出された枠が live_cache.json に残っていても、再び追加しない）
+ */
+
+import { formatJST } from '../../docs/assets/scripts/video.js';
+import { getThumbnail } from './live_cache.js';
+
+const SITE_URL = 'https://stellartfan.com/';
+
+/**
+ * フィード自身の URL
+ */
+const FEED_URL = `${SITE_URL}assets/data/feed/atom.xml`;
+
+const FEED_TITLE = 'StellArt. 非公式ファンサイト 新着配信';
+
+/**
+ * 項目として扱う配信ステータス
+ */
+const FEED_STATUSES = new Set(['upcoming', 'live']);
+
+const STATUS_LABELS = {
+  upcoming: '配信予定',
+  live: '配信中'
+};
+
+/**
+ * 新しい配信をフィードの項目に追加する
+ *
+ * 掲載済みの動画IDは、掲載から seenRetentionMs を過ぎ、live_cache.json からも消えたものだけ削除する
+ *
+ * @param {Object} params
+ * @param {Object[]} params.previousItems - 前回までの項目（新しい順）
+ * @param {Object<string, string>} [params.previousSeenIds] - 前回までの掲載済みの動画ID → 掲載日時
+ * @param {Object} params.liveCache - 今回の live_cache.json の内容
+ * @param {Object<string, Object>} params.channels - チャンネル定義
+ * @param {Date} params.now - 基準日時
+ * @param {number} params.maxItems - 保持する項目数の上限
+ * @param {number} params.seenRetentionMs - 掲載済みの動画IDを残しておく期間（ミリ秒）
+ * @returns {{ items: Object[], added: Object[], seenIds: Object<string, string> }}
+ *   更新後の項目（新しい順）・今回追加した項目・更新後の掲載済みの動画ID
+ */
+export function updateFeedItems({ previousItems, previousSeenIds = {}, liveCache, channels, now, maxItems, seenRetentionMs }) {
+  // seenIds がない以前の feed_state.json からも引き継げるよう、項目の動画IDも掲載済みとして扱う
+  const seenIds = {
+    ...Object.fromEntries(previousItems.map(item => [item.videoId, item.publishedAt])),
+    ...previousSeenIds
+  };
+  const publishedAt = now.toISOString();
+  const added = [];
+  const cachedIds = new Set();
+
+  for (const [channelKey, entries] of Object.entries(liveCache.channels)) {
+    for (const entry of entries) {
+      cachedIds.add(entry.videoId);
+      if (!FEED_STATUSES.has(entry.status) || entry.videoId in seenIds) continue;
+
+      seenIds[entry.videoId] = publishedAt;
+      added.push({
+        videoId: entry.videoId,
+        channelKey,
+        channelName: channels[channelKey]?.channelName ?? channelKey,
+        title: entry.title,
+        url: entry.url,
+        thumbnail: getThumbnail(entry.videoId, 'hq'),
+        status: entry.status,
+        scheduledStartTime: entry.scheduledStartTime ?? entry.actualStartTime,
+        publishedAt
+      });
+    }
+  }
+
+  return {
+    items: [...added, ...previousItems].slice(0, maxItems),
+    added,
+    seenIds: Object.fromEntries(
+      Object.entries(seenIds).filter(([videoId, seenAt]) =>
+        cachedIds.has(videoId) || now.getTime() - new Date(seenAt).getTime() <= seenRetentionMs
+      )
+    )
+  };
+}
+
+/**
+ * XML の特殊文字をエスケープする
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 項目の本文（HTML）を生成する
+ *
+ * @param {Object} item
+ * @returns {string}
+ */
+function buildItemContent(item) {
+  return [
+    `<p><a href="${escapeXml(item.url)}"><img src="${escapeXml(item.thumbnail)}" alt=""></a></p>`,
+    `<p>メンバー：${escapeXml(item.channelName)}</p>`,
+    `<p>${STATUS_LABELS[item.status]}：${escapeXml(formatJST(item.scheduledStartTime))}（JST）</p>`
+  ].join('');
+}
+
+/**
+ * Atom フィードの XML を生成する
+ *
+ * @param {Object[]} items - 項目（新しい順）
+ * @param {Date} now - 生成日時（項目がない場合の更新日時）
+ * @returns {string}
+ */
+export function buildAtomFeed(items, now) {
+  const updated = items[0]?.publishedAt ?? now.toISOString();
+
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>tag:stellartfan.com,2026:video:${escapeXml(item.videoId)}</id>`,
+    `    <title>${escapeXml(`【${STATUS_LABELS[item.status]}】【${item.channelName}】${item.title}`)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <link rel="enclosure" type="image/jpeg" href="${escapeXml(item.thumbnail)}"/>`,
+    `    <author><name>${escapeXml(item.channelName)}</name></author>`,
+    `    <published>${item.publishedAt}</published>`,
+    `    <updated>${item.publishedAt}</updated>`,
+    `    <content type="html">${escapeXml(buildItemContent(item))}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ja">',
+    `  <id>${FEED_URL}</id>`,
+    `  <title>${FEED_TITLE}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${FEED_URL}"/>`,
+    `  <link rel="alternate" type="text/html" href="${SITE_URL}"/>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
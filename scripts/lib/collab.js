@@ -0,0 +1,80 @@
+/**
+ * コラボ配信の参加者判定
+ *
+ * - タイトル: 他のメンバーの名前・ハッシュタグ（channels.js の channelName と members.js の collabKeywords）
+ * - 概要欄: 他のメンバーへのメンション（collabKeywords の @ハンドル）・チャンネルへのリンク
+ *
+ * のいずれかを含めば参加者とみなす
+ * （グループの概要欄には全員の名前を載せることが多いため、概要欄の名前だけでは参加者とみなさない）
+ */
+
+/**
+ * ハンドル・URL の一部として続く文字
+ */
+const HANDLE_CHAR_PATTERN = /[\w.-]/;
+
+/**
+ * チャンネルキー → コラボ判定に使う語 のマップを作る
+ *
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Object<string, Object>} members - メンバープロフィール定義
+ * @returns {Map<string, { title: string[], description: string[] }>}
+ *   title: タイトルで判定する語 / description: 概要欄で判定する語（メンション・チャンネルURL）
+ */
+export function getCollabKeywords(channels, members) {
+  return new Map(
+    Object.entries(channels).map(([key, channel]) => {
+      const collabKeywords = members[key]?.collabKeywords ?? [];
+
+      return [key, {
+        title: [channel.channelName, ...collabKeywords],
+        description: [
+          ...collabKeywords.filter(keyword => keyword.startsWith('@')),
+          ...(channel.channelId ? [`youtube.com/channel/${channel.channelId}`] : [])
+        ]
+      }];
+    })
+  );
+}
+
+/**
+ * ハンドル・URL が別のハンドルの一部としてでなく含まれているか
+ * （@IoKanata が @IoKanataSub に一致しないようにする）
+ *
+ * @param {string} text
+ * @param {string} keyword
+ * @returns {boolean}
+ */
+function includesHandle(text, keyword) {
+  let index = text.indexOf(keyword);
+
+  while (index !== -1) {
+    const next = text.charAt(index + keyword.length);
+    if (!HANDLE_CHAR_PATTERN.test(next)) return true;
+
+    index = text.indexOf(keyword, index + 1);
+  }
+
+  return false;
+}
+
+/**
+ * 配信の参加者（チャンネルキー）を判定する
+ *
+ * @param {string} hostKey - 配信したチャンネルのキー
+ * @param {{ title: string, description?: string }} snippet - 配信のタイトル・概要欄
+ * @param {Map<string, { title: string[], description: string[] }>} keywordsMap - getCollabKeywords() の結果
+ * @returns {string[]} 配信したチャンネルを先頭に、チャンネル定義順
+ */
+export function detectParticipants(hostKey, { title, description = '' }, keywordsMap) {
+  const guests = [...keywordsMap]
+    .filter(([key, keywords]) =>
+      key !== hostKey && (
+        keywords.title.some(keyword => title.includes(keyword)) ||
+        keywords.description.some(keyword => includesHandle(description, keyword))
+      )
+    )
+    .map(([key]) => key);
+
+  return [hostKey, ...guests];
+}
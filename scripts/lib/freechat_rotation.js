@@ -0,0 +1,193 @@
+/**
+ * フリーチャットの切り替わりの検出
+ *
+ * channels.js の freechatVideoId は手動で更新しているため、
+ * メンバーが新しいフリーチャット枠を立てると古いスケジュール画像を表示し続け、
+ * 新しい枠を配信予定として扱ってしまう
+ *
+ * live_cache.json の配信予定のうち、フリーチャットらしい枠を候補として
+ * freechat_candidates.json に記録する
+ *
+ * 設定で有効にした場合は、channels.js が更新されるまでの間
+ * 候補の動画IDを freechat.json に使い、その枠を配信予定から除く
+ * （差し替えは freechat_candidates.json の overrides に記録して次回以降も引き継ぐ）
+ */
+
+/**
+ * フリーチャットとみなすタイトルの語（大文字・小文字、全角・半角は区別しない）
+ */
+const FREECHAT_TITLE_KEYWORDS = ['フリーチャット', 'フリチャ', 'free chat', 'freechat'];
+
+/**
+ * 配信予定の枠がフリーチャットらしい理由を返す
+ *
+ * - title: タイトルにフリーチャットの語を含む
+ * - farFuture: 開始予定時刻が基準日時より十分先（フリーチャットは数年先の日時で立てられることが多い）
+ *
+ * @param {Object} entry - live_cache.json のエントリ
+ * @param {Date} now - 基準日時
+ * @param {number} farFutureMs - 十分先とみなす時間（ミリ秒）
+ * @returns {string[]} 該当しない場合は空配列
+ */
+export function getFreechatReasons(entry, now, farFutureMs) {
+  if (entry.status !== 'upcoming') return [];
+
+  const reasons = [];
+  const title = entry.title.normalize('NFKC').toLowerCase();
+
+  if (FREECHAT_TITLE_KEYWORDS.some(keyword => title.includes(keyword))) {
+    reasons.push('title');
+  }
+
+  if (
+    entry.scheduledStartTime &&
+    new Date(entry.scheduledStartTime).getTime() - now.getTime() >= farFutureMs
+  ) {
+    reasons.push('farFuture');
+  }
+
+  return reasons;
+}
+
+/**
+ * live_cache.json からフリーチャットの候補を検出する
+ *
+ * 前回の候補に含まれていた枠は最初に検出した日時（firstDetectedAt）を引き継ぐ
+ *
+ * @param {Object} params
+ * @param {Object} params.liveCache - 今回の live_cache.json の内容
+ * @param {Object<string, Object>} params.channels - チャンネル定義
+ * @param {Object[]} params.previousCandidates - 前回の候補
+ * @param {Date} params.now - 基準日時
+ * @param {number} params.farFutureMs - 十分先とみなす時間（ミリ秒）
+ * @returns {Object[]} チャンネル定義順の候補
+ */
+export function detectFreechatCandidates({ liveCache, channels, previousCandidates, now, farFutureMs }) {
+  const previousMap = new Map(previousCandidates.map(candidate => [candidate.videoId, candidate]));
+  const candidates = [];
+
+  for (const channelKey of Object.keys(channels)) {
+    for (const entry of liveCache.channels[channelKey] ?? []) {
+      const reasons = getFreechatReasons(entry, now, farFutureMs);
+      if (!reasons.length) continue;
+
+      candidates.push({
+        channelKey,
+        videoId: entry.videoId,
+        title: entry.title,
+        scheduledStartTime: entry.scheduledStartTime,
+        reasons,
+        currentFreechatVideoId: channels[channelKey].freechatVideoId,
+        firstDetectedAt: previousMap.get(entry.videoId)?.firstDetectedAt ?? now.toISOString()
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * 候補から、チャンネルごとに差し替える新しいフリーチャットの動画IDを選ぶ
+ *
+ * タイトルで判定した候補を優先し、同じ条件なら開始予定時刻の遅い（新しく立てられた可能性が高い）枠を選ぶ
+ *
+ * @param {Object[]} candidates - detectFreechatCandidates() の結果
+ * @returns {Map<string, string>} チャンネルキー → 動画ID
+ */
+export function selectFreechatOverrides(candidates) {
+  const selected = new Map();
+
+  const isBetter = (candidate, current) => {
+    const titleDiff = candidate.reasons.includes('title') - current.reasons.includes('title');
+    if (titleDiff !== 0) return titleDiff > 0;
+
+    return new Date(candidate.scheduledStartTime ?? 0) > new Date(current.scheduledStartTime ?? 0);
+  };
+
+  for (const candidate of candidates) {
+    const current = selected.get(candidate.channelKey);
+    if (!current || isBetter(candidate, current)) {
+      selected.set(candidate.channelKey, candidate);
+    }
+  }
+
+  return new Map([...selected].map(([channelKey, candidate]) => [channelKey, candidate.videoId]));
+}
+
+/**
+ * 前回までの差し替えのうち、まだ channels.js が更新されていないものを引き継ぐ
+ *
+ * @param {Object<string, Object>} previousOverrides - 前回の差し替え（チャンネルキー → 差し替えの内容）
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @returns {Object<string, { videoId: string, configuredVideoId: string, switchedAt: string }>}
+ */
+export function carryOverFreechatOverrides(previousOverrides, channels) {
+  return Object.fromEntries(
+    Object.entries(previousOverrides).filter(([key, override]) =>
+      channels[key] && override.configuredVideoId === channels[key].freechatVideoId
+    )
+  );
+}
+
+/**
+ * 差し替えに今回選んだ動画IDを加える
+ *
+ * @param {Object<string, Object>} overrides - 引き継いだ差し替え
+ * @param {Map<string, string>} newOverrides - チャンネルキー → 動画ID（selectFreechatOverrides() の結果）
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Date} now - 基準日時
+ * @returns {Object<string, { videoId: string, configuredVideoId: string, switchedAt: string }>}
+ */
+export function addFreechatOverrides(overrides, newOverrides, channels, now) {
+  const merged = { ...overrides };
+
+  for (const [key, videoId] of newOverrides) {
+    if (merged[key]?.videoId === videoId) continue;
+
+    merged[key] = {
+      videoId,
+      configuredVideoId: channels[key].freechatVideoId,
+      switchedAt: now.toISOString()
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * チャンネル定義の freechatVideoId を差し替えたコピーを返す
+ *
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Object<string, { videoId: string }>} overrides - addFreechatOverrides() の結果
+ * @returns {Object<string, Object>}
+ */
+export function applyFreechatOverrides(channels, overrides) {
+  return Object.fromEntries(
+    Object.entries(channels).map(([key, channel]) => [
+      key,
+      overrides[key] ? { ...channel, freechatVideoId: overrides[key].videoId } : channel
+    ])
+  );
+}
+
+/**
+ * live_cache.json の内容から指定した動画を取り除いたコピーを返す
+ * （今回差し替えたフリーチャットを配信予定として扱わないようにする）
+ *
+ * @param {Object|null} liveCache
+ * @param {Set<string>} videoIds
+ * @returns {Object|null}
+ */
+export function omitVideos(liveCache, videoIds) {
+  if (!liveCache?.channels || !videoIds.size) return liveCache;
+
+  return {
+    ...liveCache,
+    channels: Object.fromEntries(
+      Object.entries(liveCache.channels).map(([key, entries]) => [
+        key,
+        entries.filter(entry => !videoIds.has(entry.videoId))
+      ])
+    )
+  };
+}
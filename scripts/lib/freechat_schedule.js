@@ -0,0 +1,168 @@
+/**
+ * フリーチャットの配信スケジュールの読み取り
+ *
+ * 各メンバーは週間スケジュールをフリーチャットのサムネイル画像で公開しているため、
+ * 概要欄・固定コメントの「日付・時刻・内容」の行を構造化して freechat.json に記録する
+ *
+ * 読み取る行の例
+ * - 10/20(月) 21:00〜 雑談
+ * - 10月21日（火）22時半 歌枠
+ * - 10/22 おやすみ
+ */
+
+/**
+ * 日付で始まる行（先頭の記号・曜日は読み飛ばす）
+ * 1: 年（省略可） / 2: 月 / 3: 日 / 4: 残り
+ */
+const DATE_LINE_PATTERN =
+  /^[\s・*■□◆◇●○▶►▷☆★-]*(?:(\d{4})\s*(?:\/|年)\s*)?(\d{1,2})\s*(?:\/|月)\s*(\d{1,2})\s*日?\s*(?:\(\s*[月火水木金土日](?:曜日?)?\s*\))?\s*(.*)$/;
+
+/**
+ * 期間の見出し（10/20〜10/26 など）の残りの部分
+ */
+const DATE_RANGE_PATTERN = /^[~〜-]\s*(?:\d{4}\s*(?:\/|年)\s*)?\d{1,2}\s*(?:\/|月)\s*\d{1,2}/;
+
+/**
+ * 時刻で始まる文字列（終了時刻「〜23:00」は読み飛ばす）
+ * 1: 時 / 2: 分（21:00） / 3: 分（21時30分） / 4: 半（21時半） / 5: 残り
+ */
+const TIME_PATTERN =
+  /^(\d{1,2})\s*(?::\s*(\d{2})|時\s*(?:(\d{1,2})\s*分|(半))?)\s*(?:[~〜-]\s*(?:\d{1,2}\s*(?::\s*\d{2}|時(?:\s*\d{1,2}\s*分|半)?))?)?\s*(.*)$/;
+
+/**
+ * 内容の前後から取り除く区切り文字
+ */
+const TITLE_TRIM_PATTERN = /^[\s|:~〜・-]+|[\s|]+$/g;
+
+/**
+ * 日本時間（UTC+9）の時差（ミリ秒）
+ */
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * 数値を2桁にする
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * 年の書かれていない日付に、基準日時に最も近い年を補う
+ * （年末に翌年1月の予定を書いた場合など）
+ *
+ * @param {number} month
+ * @param {number} day
+ * @param {Date} now - 基準日時
+ * @returns {number}
+ */
+function inferYear(month, day, now) {
+  const year = new Date(now.getTime() + JST_OFFSET_MS).getUTCFullYear();
+
+  return [year - 1, year, year + 1].reduce((best, candidate) => {
+    const distance = Math.abs(Date.UTC(candidate, month - 1, day) - now.getTime());
+    const bestDistance = Math.abs(Date.UTC(best, month - 1, day) - now.getTime());
+    return distance < bestDistance ? candidate : best;
+  });
+}
+
+/**
+ * 1行を配信スケジュールのエントリとして読み取る
+ *
+ * @param {string} line
+ * @param {Date} now - 基準日時（年の補完用）
+ * @returns {{ date: string, time: string|null, startTime: string|null, title: string }|null}
+ *   date: 日付（YYYY-MM-DD） / time: 書かれていた時刻（HH:MM、25:00 などはそのまま） /
+ *   startTime: 開始時刻（ISO文字列） / 読み取れない行・期間の見出しは null
+ */
+export function parseScheduleLine(line, now) {
+  const dateMatch = DATE_LINE_PATTERN.exec(line.normalize('NFKC').trim());
+  if (!dateMatch || DATE_RANGE_PATTERN.test(dateMatch[4])) return null;
+
+  const month = Number(dateMatch[2]);
+  const day = Number(dateMatch[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const year = dateMatch[1] ? Number(dateMatch[1]) : inferYear(month, day, now);
+  let rest = dateMatch[4];
+  let time = null;
+  let startTime = null;
+
+  const timeMatch = TIME_PATTERN.exec(rest);
+  if (timeMatch) {
+    const hour = Number(timeMatch[1]);
+    const minute = timeMatch[4] ? 30 : Number(timeMatch[2] ?? timeMatch[3] ?? 0);
+
+    // 深夜の配信は 25:00 のように書かれることがある
+    if (hour <= 29 && minute <= 59) {
+      time = `${pad(hour)}:${pad(minute)}`;
+      startTime = new Date(Date.UTC(year, month - 1, day, hour, minute) - JST_OFFSET_MS).toISOString();
+      rest = timeMatch[5];
+    }
+  }
+
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time,
+    startTime,
+    title: rest.replace(TITLE_TRIM_PATTERN, '')
+  };
+}
+
+/**
+ * 文章から配信スケジュールのエントリを読み取る
+ *
+ * @param {string} text - 概要欄・固定コメント
+ * @param {Date} now - 基準日時（年の補完用）
+ * @returns {Object[]} parseScheduleLine() のエントリ（書かれていた順）
+ */
+export function parseScheduleText(text, now) {
+  return (text ?? '')
+    .split(/\r?\n/)
+    .map(line => parseScheduleLine(line, now))
+    .filter(Boolean);
+}
+
+/**
+ * 概要欄・固定コメントから配信スケジュールを組み立てる
+ *
+ * 両方に同じ行がある場合は1件にまとめ、日付・時刻順に並べる（時刻のない行はその日の先頭）
+ *
+ * @param {string[]} texts - 概要欄・固定コメント（ないものは null）
+ * @param {Date} now - 基準日時（年の補完用）
+ * @returns {Object[]}
+ */
+export function extractFreechatSchedule(texts, now) {
+  const entryMap = new Map();
+
+  for (const text of texts) {
+    for (const entry of parseScheduleText(text, now)) {
+      const key = `${entry.date} ${entry.time} ${entry.title}`;
+      if (!entryMap.has(key)) entryMap.set(key, entry);
+    }
+  }
+
+  return [...entryMap.values()].sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.time ?? '').localeCompare(b.time ?? '')
+  );
+}
+
+/**
+ * 固定コメントとして扱うコメントの本文を選ぶ
+ *
+ * API から固定コメントを判別できないため、関連度順の先頭ページのうち
+ * チャンネル主の最初のコメントを固定コメントとみなす
+ *
+ * @param {Object[]} threads - commentThreads.list（order=relevance）の items
+ * @param {string} channelId - チャンネル主のチャンネルID
+ * @returns {string|null}
+ */
+export function findPinnedText(threads, channelId) {
+  const thread = threads.find(item =>
+    item.snippet.topLevelComment.snippet.authorChannelId?.value === channelId
+  );
+
+  return thread?.snippet.topLevelComment.snippet.textOriginal ?? null;
+}
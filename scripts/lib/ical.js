@@ -0,0 +1,262 @@
+/**
+ * iCalendar（.ics）フィードの組み立て処理
+ *
+ * live_cache.json のエントリからカレンダーイベントの状態を更新し、
+ * チャンネルごと・全体の .ics を生成する
+ *
+ * 購読中のカレンダーアプリに変更を伝えるため、イベントの状態は
+ * ics_state.json に保存して次回の実行に引き継ぐ
+ * - 開始時刻・タイトルが変わったら SEQUENCE を上げる
+ * - 配信予定のまま消えた枠は STATUS:CANCELLED としてしばらく残す
+ */
+
+/**
+ * UID のドメイン部分
+ */
+const UID_DOMAIN = 'stellartfan.com';
+
+const PRODID = '-//stellartfan.com//StellArt. Schedule//JA';
+
+/**
+ * カレンダーアプリに伝える更新間隔
+ */
+const REFRESH_INTERVAL = 'PT30M';
+
+/**
+ * 1行の最大長（オクテット、改行を除く）
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * ライブキャッシュのエントリの開始・終了時刻を求める
+ *
+ * 終了時刻が分からない場合は推定の配信時間から求める
+ *
+ * @param {Object} entry - live_cache.json のエントリ
+ * @param {number} estimatedDurationMs - 推定の配信時間（ミリ秒）
+ * @returns {{ start: string, end: string }|null}
+ */
+export function getEventPeriod(entry, estimatedDurationMs) {
+  const startTime = entry.actualStartTime || entry.scheduledStartTime;
+  if (!startTime) return null;
+
+  const start = new Date(startTime);
+  const end = entry.actualEndTime
+    ? new Date(entry.actualEndTime)
+    : new Date(start.getTime() + estimatedDurationMs);
+
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * カレンダーイベントの状態を更新する
+ *
+ * @param {Object} params
+ * @param {Object<string, Object>} params.previousEvents - 前回の状態（動画ID → イベント）
+ * @param {Object} params.liveCache - 今回の live_cache.json の内容
+ * @param {Object<string, Object>} params.channels - チャンネル定義
+ * @param {Date} params.now - 基準日時
+ * @param {number} params.estimatedDurationMs - 推定の配信時間（ミリ秒）
+ * @param {number} params.retentionMs - 終了・中止したイベントを残す期間（ミリ秒）
+ * @returns {Object<string, Object>} 動画ID → イベント
+ */
+export function updateCalendarEvents({
+  previousEvents,
+  liveCache,
+  channels,
+  now,
+  estimatedDurationMs,
+  retentionMs
+}) {
+  const updatedAt = now.toISOString();
+  const events = {};
+
+  for (const [channelKey, entries] of Object.entries(liveCache.channels)) {
+    for (const entry of entries) {
+      const period = getEventPeriod(entry, estimatedDurationMs);
+      if (!period) continue;
+
+      const previous = previousEvents[entry.videoId];
+      const event = {
+        channelKey,
+        channelName: channels[channelKey]?.channelName ?? channelKey,
+        title: entry.title,
+        url: entry.url,
+        start: period.start,
+        end: period.end,
+        liveStatus: entry.status,
+        status: 'CONFIRMED'
+      };
+
+      const changed = !previous ||
+        previous.status !== event.status ||
+        previous.start !== event.start ||
+        previous.end !== event.end ||
+        previous.title !== event.title;
+
+      events[entry.videoId] = {
+        ...event,
+        sequence: previous ? previous.sequence + (changed ? 1 : 0) : 0,
+        updatedAt: changed ? updatedAt : previous.updatedAt
+      };
+    }
+  }
+
+  // 今回のキャッシュから消えたイベント
+  for (const [videoId, previous] of Object.entries(previousEvents)) {
+    if (events[videoId]) continue;
+    if (now.getTime() - new Date(previous.end).getTime() > retentionMs) continue;
+
+    // 開始前の配信予定が消えた場合は中止とみなす
+    const cancelled = previous.status === 'CONFIRMED' &&
+      previous.liveStatus === 'upcoming' &&
+      new Date(previous.start) > now;
+
+    events[videoId] = cancelled
+      ? { ...previous, status: 'CANCELLED', sequence: previous.sequence + 1, updatedAt }
+      : previous;
+  }
+
+  return events;
+}
+
+/**
+ * TEXT 値をエスケープする（RFC 5545 3.3.11）
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 75オクテットを超える行を折り返す（RFC 5545 3.1）
+ *
+ * マルチバイト文字の途中では折り返さない
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // 2行目以降は先頭の空白1文字分を差し引く
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * ISO 文字列を iCalendar の UTC 日時形式に変換する（例: 20260823T130000Z）
+ *
+ * @param {string} iso
+ * @returns {string}
+ */
+export function formatICalDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * VEVENT の行を生成する
+ *
+ * @param {string} videoId
+ * @param {Object} event
+ * @param {string} dtstamp - 生成日時（ISO文字列）
+ * @returns {string[]}
+ */
+function buildEventLines(videoId, event, dtstamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${videoId}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatICalDate(dtstamp)}`,
+    `LAST-MODIFIED:${formatICalDate(event.updatedAt)}`,
+    `SEQUENCE:${event.sequence}`,
+    `STATUS:${event.status}`,
+    `DTSTART:${formatICalDate(event.start)}`,
+    `DTEND:${formatICalDate(event.end)}`,
+    `SUMMARY:${escapeText(`【${event.channelName}】${event.title}`)}`,
+    `DESCRIPTION:${escapeText(event.url)}`,
+    `URL:${event.url}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * .ics の内容を生成する
+ *
+ * @param {Object} params
+ * @param {string} params.name - カレンダー名
+ * @param {Object<string, Object>} params.events - 動画ID → イベント
+ * @param {Date} params.now - 生成日時
+ * @returns {string}
+ */
+export function buildICalendar({ name, events, now }) {
+  const dtstamp = now.toISOString();
+  const eventLines = Object.entries(events)
+    .sort(([, a], [, b]) => new Date(a.start) - new Date(b.start))
+    .flatMap(([videoId, event]) => buildEventLines(videoId, event, dtstamp));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Tokyo',
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...eventLines,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * 書き出す .ics ファイルの一覧を生成する
+ *
+ * @param {Object} params
+ * @param {Object<string, Object>} params.channels - チャンネル定義
+ * @param {Object<string, Object>} params.events - 動画ID → イベント
+ * @param {Date} params.now - 生成日時
+ * @returns {Array<{ fileName: string, content: string }>}
+ */
+export function buildICalendarFiles({ channels, events, now }) {
+  const files = Object.entries(channels).map(([channelKey, channel]) => ({
+    fileName: `${channelKey}.ics`,
+    content: buildICalendar({
+      name: `${channel.channelName} 配信予定`,
+      events: Object.fromEntries(
+        Object.entries(events).filter(([, event]) => event.channelKey === channelKey)
+      ),
+      now
+    })
+  }));
+
+  files.push({
+    fileName: 'all.ics',
+    content: buildICalendar({ name: 'StellArt. 配信予定', events, now })
+  });
+
+  return files;
+}
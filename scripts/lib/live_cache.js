@@ -0,0 +1,458 @@
+/**
+ * live_cache.json / freechat.json の組み立て処理
+ *
+ * API 呼び出しを含まない純粋な処理のみを置き、fetch_youtube.js から利用する
+ */
+
+import { detectParticipants } from './collab.js';
+import { extractFreechatSchedule } from './freechat_schedule.js';
+import { parseDuration } from './youtube_api.js';
+
+/**
+ * メンバー限定配信とみなすタイトルの語（大文字・小文字、全角・半角は区別しない）
+ * （API からはメンバー限定かどうかを取得できないため、タイトルで判定する）
+ */
+const MEMBERS_ONLY_KEYWORDS = ['メン限', 'メンバー限定', 'メンバーシップ限定', 'members only', 'members-only', 'member only'];
+
+/**
+ * live_cache.json に記録する概要欄の最大文字数・タグの最大件数
+ * （キャッシュを小さく保つため、概要欄の冒頭とタグの先頭のみ残す）
+ */
+const DESCRIPTION_MAX_LENGTH = 200;
+const TAGS_MAX_COUNT = 10;
+
+/**
+ * 動画IDからサムネイルURLを生成する
+ *
+ * @param {string} videoId - YouTube動画ID
+ * @param {'max' | 'hq' | 'mq'} size - サムネイルサイズ
+ * @returns {string} サムネイル画像URL
+ */
+export function getThumbnail(videoId, size = 'max') {
+  switch (size) {
+    case 'max':
+      return `https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`;
+    case 'hq':
+      return `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+    default:
+      return `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`;
+  }
+}
+
+/**
+ * フリーチャット動画ID一覧を返す
+ *
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @returns {Set<string>}
+ */
+export function getFreechatIds(channels) {
+  return new Set(
+    Object.values(channels).map(channel => channel.freechatVideoId)
+  );
+}
+
+/**
+ * 除外対象の動画ID一覧（全チャンネル分）を返す
+ *
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @returns {Set<string>}
+ */
+export function getExcludeIds(channels) {
+  return new Set(
+    Object.values(channels).flatMap(channel => channel.excludeVideoIds)
+  );
+}
+
+/**
+ * 詳細を確認する動画ID一覧を決める
+ *
+ * 新しい動画に押し出された配信予定枠も追跡できるよう、前回の配信予定・配信中も対象に含め、
+ * フリーチャット・除外指定の動画は対象外とする
+ *
+ * @param {string[]} uploadIds - 最近のアップロード動画ID
+ * @param {Object[]} previousEntries - 前回のキャッシュのエントリ
+ * @param {Set<string>} skipIds - 対象外の動画ID
+ * @returns {string[]}
+ */
+export function selectCandidateIds(uploadIds, previousEntries, skipIds) {
+  const previousIds = previousEntries
+    .filter(entry => entry.status !== 'end')
+    .map(entry => entry.videoId);
+
+  return [...new Set([...uploadIds, ...previousIds])]
+    .filter(videoId => !skipIds.has(videoId));
+}
+
+/**
+ * 終了時刻が保持期間内か判定する
+ *
+ * @param {string} actualEndTime - 配信終了時刻（ISO文字列）
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 保持期間（ミリ秒）
+ * @returns {boolean}
+ */
+export function isWithinEndedRetention(actualEndTime, now, retentionMs) {
+  return now.getTime() - new Date(actualEndTime).getTime() <= retentionMs;
+}
+
+/**
+ * liveStreamingDetails から配信状態を判定する
+ *
+ * @param {Object|undefined} detail - liveStreamingDetails
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 配信終了後に残しておく時間（ミリ秒）
+ * @returns {'live' | 'upcoming' | 'end' | null} 残さない動画は null
+ */
+export function classifyLiveStatus(detail, now, retentionMs) {
+  // liveStreamingDetails を持たない動画は除外（Shorts / 通常動画）
+  if (!detail) return null;
+
+  // 配信中
+  if (detail.actualStartTime && !detail.actualEndTime) return 'live';
+
+  // 配信予定
+  if (detail.scheduledStartTime && !detail.actualStartTime) return 'upcoming';
+
+  // 配信終了（保持期間内のみ残す）
+  if (detail.actualEndTime && isWithinEndedRetention(detail.actualEndTime, now, retentionMs)) {
+    return 'end';
+  }
+
+  // 保持期間を過ぎた終了済み or その他は除外
+  return null;
+}
+
+/**
+ * タイトルからメンバー限定配信か判定する
+ *
+ * @param {string} title
+ * @returns {boolean}
+ */
+export function isMembersOnly(title) {
+  const normalized = title.normalize('NFKC').toLowerCase();
+  return MEMBERS_ONLY_KEYWORDS.some(keyword => normalized.includes(keyword));
+}
+
+/**
+ * 数値の文字列（API の統計値）を数値にする
+ *
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function toCount(value) {
+  return value === undefined ? null : Number(value);
+}
+
+/**
+ * video リソースから live_cache.json のエントリを生成する
+ *
+ * snippet / contentDetails / statistics / liveStreamingDetails から次の情報も記録する
+ * - concurrentViewers: 同時視聴者数（配信中のみ）
+ * - viewCount: 再生回数
+ * - durationSeconds: 配信の長さ（秒、終了後のみ）
+ * - description / tags: 概要欄の冒頭（DESCRIPTION_MAX_LENGTH 文字まで）・タグ（TAGS_MAX_COUNT 件まで）
+ * - categoryId / defaultAudioLanguage: カテゴリ・音声の言語
+ * - chatEnabled: チャットが有効か（activeLiveChatId がない場合は判定できないため null）
+ * - membersOnly: メンバー限定配信か（タイトルで判定）
+ *
+ * @param {Object} item - video リソース（snippet / liveStreamingDetails）
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 配信終了後に残しておく時間（ミリ秒）
+ * @returns {Object|null} 残さない動画は null
+ */
+export function createLiveEntry(item, now, retentionMs) {
+  const detail = item.liveStreamingDetails;
+  const status = classifyLiveStatus(detail, now, retentionMs);
+  if (!status) return null;
+
+  const entry = {
+    videoId: item.id,
+    title: item.snippet.title,
+    thumbnail: getThumbnail(item.id, 'hq'),
+    url: `https://www.youtube.com/watch?v=${item.id}`,
+    status,
+    scheduledStartTime: null,
+    actualStartTime: null,
+    actualEndTime: null
+  };
+
+  switch (status) {
+    case 'live':
+      entry.actualStartTime = detail.actualStartTime;
+      break;
+
+    case 'upcoming':
+      entry.scheduledStartTime = detail.scheduledStartTime;
+      break;
+
+    case 'end':
+      entry.scheduledStartTime = detail.scheduledStartTime || null;
+      entry.actualStartTime = detail.actualStartTime || null;
+      entry.actualEndTime = detail.actualEndTime;
+      break;
+  }
+
+  return {
+    ...entry,
+    concurrentViewers: status === 'live' ? toCount(detail.concurrentViewers) : null,
+    viewCount: toCount(item.statistics?.viewCount),
+    durationSeconds: status === 'end' ? parseDuration(item.contentDetails?.duration) : null,
+    description: Array.from(item.snippet.description ?? '').slice(0, DESCRIPTION_MAX_LENGTH).join(''),
+    tags: (item.snippet.tags ?? []).slice(0, TAGS_MAX_COUNT),
+    categoryId: item.snippet.categoryId ?? null,
+    defaultAudioLanguage: item.snippet.defaultAudioLanguage ?? null,
+    chatEnabled: detail.activeLiveChatId ? true : null,
+    membersOnly: isMembersOnly(item.snippet.title)
+  };
+}
+
+/**
+ * 取得失敗の内容を JSON 記録用の形式にする
+ *
+ * live_cache.json は公開されるため、エラーメッセージ（リクエスト URL などを含みうる）は記録せず、
+ * API のエラー理由と HTTP ステータスのみ記録する
+ *
+ * @param {Error} error
+ * @param {string} occurredAt - 発生日時（ISO文字列）
+ * @returns {{ reason: string|null, status: number|null, occurredAt: string }}
+ */
+export function toErrorInfo(error, occurredAt) {
+  return {
+    reason: error.reason ?? null,
+    status: error.status ?? null,
+    occurredAt
+  };
+}
+
+/**
+ * 取得に失敗したチャンネルの前回のエントリを引き継ぐ（保持期間を過ぎた end のみ除外）
+ *
+ * @param {Object[]} previousEntries - 前回のキャッシュのエントリ
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 配信終了後に残しておく時間（ミリ秒）
+ * @returns {Object[]}
+ */
+function inheritEntries(previousEntries, now, retentionMs) {
+  return previousEntries.filter(entry => entry.status !== 'end' ||
+    isWithinEndedRetention(entry.actualEndTime, now, retentionMs));
+}
+
+/**
+ * 前回のキャッシュの動画ID → 最大同時視聴者数
+ *
+ * @param {Object|null} previousCache - 前回の live_cache.json
+ * @returns {Map<string, number|null>}
+ */
+function collectPeakViewers(previousCache) {
+  const entries = [
+    ...Object.values(previousCache?.channels ?? {}).flat(),
+    ...Object.values(previousCache?.secondary ?? {}).flatMap(channel => channel.videos)
+  ];
+
+  return new Map(entries.map(entry => [entry.videoId, entry.peakConcurrentViewers ?? null]));
+}
+
+/**
+ * 今回の同時視聴者数と前回までの最大値から最大同時視聴者数を求める
+ * （取得時点の値の最大値のため、取得の間に記録した最大値は含まれない）
+ *
+ * @param {number|null} concurrentViewers
+ * @param {number|null|undefined} previousPeak
+ * @returns {number|null}
+ */
+function getPeakViewers(concurrentViewers, previousPeak) {
+  const counts = [concurrentViewers, previousPeak].filter(count => count !== null && count !== undefined);
+  return counts.length ? Math.max(...counts) : null;
+}
+
+/**
+ * 詳細を確認した動画からエントリを生成し、最大同時視聴者数（peakConcurrentViewers）と
+ * 参加者（participants）を記録する
+ *
+ * @param {string} channelKey - 配信したチャンネルのキー
+ * @param {string[]} candidateIds - 詳細を確認した動画ID一覧
+ * @param {Map<string, Object>} videoDetailMap - 動画ID → video リソース
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 配信終了後に残しておく時間（ミリ秒）
+ * @param {Map<string, Object>} collabKeywords - チャンネルキー → コラボ判定に使う語（getCollabKeywords() の結果）
+ * @param {Map<string, number|null>} previousPeakMap - 動画ID → 前回までの最大同時視聴者数
+ * @returns {Object[]} participants は配信したチャンネルを先頭にしたチャンネルキー
+ */
+function createEntries(channelKey, candidateIds, videoDetailMap, now, retentionMs, collabKeywords, previousPeakMap) {
+  return candidateIds
+    // 削除・非公開になった動画は除外
+    .filter(videoId => videoDetailMap.has(videoId))
+    .map(videoId => {
+      const item = videoDetailMap.get(videoId);
+      const entry = createLiveEntry(item, now, retentionMs);
+      if (!entry) return null;
+
+      return {
+        ...entry,
+        peakConcurrentViewers: getPeakViewers(entry.concurrentViewers, previousPeakMap.get(videoId)),
+        participants: detectParticipants(channelKey, item.snippet, collabKeywords)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * handle で指定した関連チャンネルの、前回の実行で求めたチャンネルIDを返す
+ * （handle を変更した場合は使わない）
+ *
+ * @param {Object|null} previousCache - 前回の live_cache.json
+ * @param {string} channelKey
+ * @param {Object} channel - 関連チャンネル定義
+ * @returns {string|null} 前回求めていなければ null
+ */
+export function getResolvedChannelId(previousCache, channelKey, channel) {
+  const previous = previousCache?.secondary?.[channelKey];
+  if (!previous?.channelId || previous.handle !== channel.handle) return null;
+
+  return previous.channelId;
+}
+
+/**
+ * live_cache.json の内容を組み立てる
+ *
+ * - live / upcoming / 保持期間内の end のみ残す
+ * - 各エントリに最大同時視聴者数（peakConcurrentViewers）とコラボ配信の参加者（participants）を記録する
+ * - 関連チャンネル（公式・コラボ相手）はメンバーが参加する配信のみ secondary に記録する
+ *   （participants は参加するメンバーのみ。handle で指定したチャンネルは求めたチャンネルIDも記録する）
+ * - 取得に失敗したチャンネルは前回のキャッシュを引き継ぎ、channelStatus に記録する
+ *
+ * @param {Object} params
+ * @param {Object<string, Object>} params.channels - チャンネル定義
+ * @param {Object<string, Object>} [params.secondaryChannels] - 関連チャンネル定義（handle で指定したチャンネルは求めたチャンネルIDを channelId に含める）
+ * @param {Map<string, string[]>} params.candidateIdsMap - チャンネルキー → 詳細を確認した動画ID一覧
+ * @param {Map<string, Object>} params.videoDetailMap - 動画ID → video リソース
+ * @param {Map<string, Error>} params.channelErrors - チャンネルキー → 取得時のエラー
+ * @param {Object|null} params.previousCache - 前回の live_cache.json
+ * @param {Date} params.now - 基準日時
+ * @param {number} params.retentionMs - 配信終了後に残しておく時間（ミリ秒）
+ * @param {Map<string, Object>} [params.collabKeywords] - チャンネルキー → コラボ判定に使う語（getCollabKeywords() の結果）
+ * @returns {Object}
+ */
+export function buildLiveCache({
+  channels,
+  secondaryChannels = {},
+  candidateIdsMap,
+  videoDetailMap,
+  channelErrors,
+  previousCache,
+  now,
+  retentionMs,
+  collabKeywords = new Map()
+}) {
+  const updatedAt = now.toISOString();
+  const previousPeakMap = collectPeakViewers(previousCache);
+
+  const liveResult = {
+    updatedAt,
+    channels: {},
+    secondary: {},
+    channelStatus: {}
+  };
+
+  /**
+   * チャンネルの取得結果を channelStatus に記録する
+   */
+  const recordStatus = (channelKey, error) => {
+    liveResult.channelStatus[channelKey] = error
+      ? {
+        lastSuccessAt: previousCache?.channelStatus?.[channelKey]?.lastSuccessAt ?? null,
+        error: toErrorInfo(error, updatedAt)
+      }
+      : {
+        lastSuccessAt: updatedAt,
+        error: null
+      };
+  };
+
+  for (const channelKey of Object.keys(channels)) {
+    const error = channelErrors.get(channelKey);
+    recordStatus(channelKey, error);
+
+    liveResult.channels[channelKey] = error
+      ? inheritEntries(previousCache?.channels?.[channelKey] ?? [], now, retentionMs)
+      : createEntries(
+        channelKey,
+        candidateIdsMap.get(channelKey) ?? [],
+        videoDetailMap,
+        now,
+        retentionMs,
+        collabKeywords,
+        previousPeakMap
+      );
+  }
+
+  for (const [channelKey, channel] of Object.entries(secondaryChannels)) {
+    const error = channelErrors.get(channelKey);
+    recordStatus(channelKey, error);
+
+    const videos = error
+      ? inheritEntries(previousCache?.secondary?.[channelKey]?.videos ?? [], now, retentionMs)
+      : createEntries(
+        channelKey,
+        candidateIdsMap.get(channelKey) ?? [],
+        videoDetailMap,
+        now,
+        retentionMs,
+        collabKeywords,
+        previousPeakMap
+      )
+        .map(entry => ({ ...entry, participants: entry.participants.slice(1) }))
+        .filter(entry => entry.participants.length > 0);
+
+    liveResult.secondary[channelKey] = {
+      channelName: channel.channelName,
+      role: channel.role,
+      handle: channel.handle ?? null,
+      channelId: channel.channelId ?? getResolvedChannelId(previousCache, channelKey, channel),
+      videos
+    };
+  }
+
+  return liveResult;
+}
+
+/**
+ * freechat.json の内容を組み立てる
+ *
+ * フリーチャットの概要欄・固定コメントから読み取った配信スケジュールを schedule に記録する
+ * （フリーチャットの詳細が取得できなかった場合は前回の schedule を引き継ぐ）
+ *
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.videoDetailMap] - 動画ID → video リソース
+ * @param {Map<string, string|null>} [options.pinnedTextMap] - チャンネルキー → 固定コメントの本文
+ * @param {Object|null} [options.previousFreechat] - 前回の freechat.json
+ * @param {Date} [options.now] - 基準日時（スケジュールの年の補完用）
+ * @returns {Object}
+ */
+export function buildFreechatResult(channels, {
+  videoDetailMap = new Map(),
+  pinnedTextMap = new Map(),
+  previousFreechat = null,
+  now = new Date()
+} = {}) {
+  const freechatResult = {};
+
+  for (const [key, channel] of Object.entries(channels)) {
+    const item = videoDetailMap.get(channel.freechatVideoId);
+    const previous = previousFreechat?.[key];
+
+    const schedule = item
+      ? extractFreechatSchedule([item.snippet.description, pinnedTextMap.get(key)], now)
+      : previous?.videoId === channel.freechatVideoId ? previous.schedule ?? [] : [];
+
+    freechatResult[key] = {
+      videoId: channel.freechatVideoId,
+      channelName: channel.channelName,
+      thumbnail: getThumbnail(channel.freechatVideoId, 'max'),
+      schedule
+    };
+  }
+
+  return freechatResult;
+}
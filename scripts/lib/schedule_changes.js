@@ -0,0 +1,106 @@
+/**
+ * 配信予定の変更検出
+ *
+ * 前回の live_cache.json と今回の結果を比べ、
+ * 新規告知・時間変更・中止・タイトル変更を schedule_changes.json に記録する
+ */
+
+/**
+ * 中止・新規告知の記録に残すエントリの内容
+ *
+ * @param {Object} entry - live_cache.json のエントリ
+ * @returns {Object}
+ */
+function toSnapshot(entry) {
+  return {
+    title: entry.title,
+    url: entry.url,
+    thumbnail: entry.thumbnail,
+    scheduledStartTime: entry.scheduledStartTime
+  };
+}
+
+/**
+ * 前回と今回の live_cache.json を比べて変更を検出する
+ *
+ * 変更の種類（type）
+ * - announced: 新しい配信予定・配信中の枠（after に内容）
+ * - rescheduled: 開始予定時刻の変更（before / after に scheduledStartTime）
+ * - cancelled: 配信予定の枠（待機所）の削除（before に内容）
+ * - retitled: タイトルの変更（before / after に title）
+ *
+ * 取得に失敗したチャンネルは前回のエントリを引き継いでいるため、中止とは判定されない
+ * 前回のキャッシュがない場合は比較できないため、何も検出しない
+ *
+ * @param {Object|null} previousCache - 前回の live_cache.json の内容
+ * @param {Object} liveCache - 今回の live_cache.json の内容
+ * @param {Date} now - 検出日時
+ * @returns {Object[]} 検出した変更
+ */
+export function detectScheduleChanges(previousCache, liveCache, now) {
+  if (!previousCache?.channels) return [];
+
+  const detectedAt = now.toISOString();
+  const changes = [];
+
+  for (const [channelKey, entries] of Object.entries(liveCache.channels)) {
+    const previousEntries = previousCache.channels[channelKey] ?? [];
+    const previousMap = new Map(previousEntries.map(entry => [entry.videoId, entry]));
+    const currentIds = new Set(entries.map(entry => entry.videoId));
+
+    const record = (type, entry, before, after) => {
+      changes.push({ type, videoId: entry.videoId, channelKey, title: entry.title, detectedAt, before, after });
+    };
+
+    for (const entry of entries) {
+      const previous = previousMap.get(entry.videoId);
+
+      if (!previous) {
+        if (entry.status !== 'end') {
+          record('announced', entry, null, toSnapshot(entry));
+        }
+        continue;
+      }
+
+      if (
+        previous.scheduledStartTime &&
+        entry.scheduledStartTime &&
+        previous.scheduledStartTime !== entry.scheduledStartTime
+      ) {
+        record(
+          'rescheduled',
+          entry,
+          { scheduledStartTime: previous.scheduledStartTime },
+          { scheduledStartTime: entry.scheduledStartTime }
+        );
+      }
+
+      if (previous.title !== entry.title) {
+        record('retitled', entry, { title: previous.title }, { title: entry.title });
+      }
+    }
+
+    // 配信予定のまま消えた枠は中止とみなす
+    for (const previous of previousEntries) {
+      if (previous.status === 'upcoming' && !currentIds.has(previous.videoId)) {
+        record('cancelled', previous, toSnapshot(previous), null);
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * 変更履歴に今回の変更を追加し、保持期間を過ぎたものを取り除く
+ *
+ * @param {Object[]} previousChanges - 前回までの変更（新しい順）
+ * @param {Object[]} newChanges - 今回検出した変更
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 保持期間（ミリ秒）
+ * @returns {Object[]} 新しい順の変更履歴
+ */
+export function mergeScheduleChanges(previousChanges, newChanges, now, retentionMs) {
+  return [...newChanges, ...previousChanges]
+    .filter(change => now.getTime() - new Date(change.detectedAt).getTime() <= retentionMs);
+}
@@ -0,0 +1,97 @@
+/**
+ * 配信履歴（stream_history.json）の更新
+ *
+ * live_cache.json は終了した配信を一定時間で削除するため、
+ * 配信頻度・配信時間の集計用に、終了した配信の開始・終了時刻と最大同時視聴者数を別に記録する
+ *
+ * 前回と今回の live_cache.json を比べ、配信が終了に変わった時点で記録する
+ * （endedRetentionHours が 0 で終了した配信がキャッシュに残らない場合も、動画の詳細から記録する）
+ *
+ * 一度記録した配信は削除・更新しない（追記のみ）
+ * 対象はメンバーのチャンネルの配信のみ（関連チャンネルの配信は含めない）
+ */
+
+/**
+ * 終了に変わった配信の記録内容を作る
+ *
+ * @param {string} channelKey
+ * @param {Object|undefined} previous - 前回のキャッシュのエントリ
+ * @param {Object|undefined} current - 今回のキャッシュのエントリ
+ * @param {Object|undefined} item - 今回取得した video リソース
+ * @returns {Object|null} 終了に変わっていない・開始・終了時刻がそろっていない配信は null
+ */
+function createEndedStream(channelKey, previous, current, item) {
+  if (previous?.status === 'end') return null;
+
+  // キャッシュに残っていればその内容を、残っていなければ（保持期間外）動画の詳細を使う
+  let ended;
+  if (current) {
+    if (current.status !== 'end') return null;
+    ended = current;
+  } else {
+    if (!item) return null;
+    ended = {
+      title: item.snippet.title,
+      actualStartTime: item.liveStreamingDetails?.actualStartTime,
+      actualEndTime: item.liveStreamingDetails?.actualEndTime,
+      peakConcurrentViewers: previous?.peakConcurrentViewers
+    };
+  }
+
+  // 開始前に中止した枠などは記録しない
+  if (!ended.actualStartTime || !ended.actualEndTime) return null;
+
+  return {
+    videoId: (current ?? previous).videoId,
+    channelKey,
+    title: ended.title,
+    actualStartTime: ended.actualStartTime,
+    actualEndTime: ended.actualEndTime,
+    peakConcurrentViewers: ended.peakConcurrentViewers ?? null
+  };
+}
+
+/**
+ * 記録済みの配信に、前回から今回の間に終了した配信を追記する
+ *
+ * - 今回のキャッシュで終了になった配信（前回は配信予定・配信中、またはキャッシュになかった）
+ * - 前回は配信予定・配信中だったが、保持期間外で今回のキャッシュから消えた終了済みの配信
+ *
+ * @param {Object} params
+ * @param {Object[]} params.previousStreams - 前回までの配信履歴
+ * @param {Object|null} params.previousCache - 前回の live_cache.json の内容
+ * @param {Object} params.liveCache - 今回の live_cache.json の内容
+ * @param {Map<string, Object>} params.videoDetailMap - 動画ID → 今回取得した video リソース
+ * @returns {{ streams: Object[], added: Object[] }} 追記後の配信履歴と、今回追記した配信
+ */
+export function appendStreamHistory({ previousStreams, previousCache, liveCache, videoDetailMap }) {
+  const recordedIds = new Set(previousStreams.map(stream => stream.videoId));
+  const added = [];
+
+  for (const [channelKey, entries] of Object.entries(liveCache.channels)) {
+    const previousEntries = new Map(
+      (previousCache?.channels?.[channelKey] ?? []).map(entry => [entry.videoId, entry])
+    );
+    const currentEntries = new Map(entries.map(entry => [entry.videoId, entry]));
+    const videoIds = new Set([...previousEntries.keys(), ...currentEntries.keys()]);
+
+    for (const videoId of videoIds) {
+      if (recordedIds.has(videoId)) continue;
+
+      const stream = createEndedStream(
+        channelKey,
+        previousEntries.get(videoId),
+        currentEntries.get(videoId),
+        videoDetailMap.get(videoId)
+      );
+      if (!stream) continue;
+
+      recordedIds.add(videoId);
+      added.push(stream);
+    }
+  }
+
+  added.sort((a, b) => new Date(a.actualStartTime) - new Date(b.actualStartTime));
+
+  return { streams: [...previousStreams, ...added], added };
+}
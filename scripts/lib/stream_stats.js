@@ -0,0 +1,248 @@
+/**
+ * 配信履歴（stream_history.json）のメンバー別集計
+ *
+ * 配信統計ページは集計結果（stream_stats.json）のみを読み込んで表示する
+ * 配信履歴は増え続けるため、集計は履歴を1回走査するだけで済むようにする
+ *
+ * 曜日・時刻・週はすべて日本時間（JST）で数える
+ */
+
+/**
+ * 日本時間（UTC+9）の時差（ミリ秒）
+ */
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * 週ごとの配信数を集計する週数（今週を含む直近の ISO 週）
+ */
+const WEEKLY_COUNT_WEEKS = 12;
+
+/**
+ * 平均開始時刻で日付の区切りとする時刻（時）
+ * （深夜の配信を前日の 24:00 以降として扱い、0時前後の配信の平均が昼にならないようにする）
+ */
+const DAY_START_HOUR = 5;
+
+/**
+ * 最も配信の多い曜日として返す数
+ */
+const BUSIEST_WEEKDAY_COUNT = 3;
+
+/**
+ * 小数第1位で丸める
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundOneDecimal(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * 日時を含む週（月曜日始まり）の開始日時を返す
+ *
+ * @param {number} ms - 日時（ミリ秒）
+ * @returns {number} 週の開始日の 0時（JST）を UTC として表したミリ秒
+ *   （getUTC* で JST の日付を取り出せる）
+ */
+function getWeekStartMs(ms) {
+  const dayStartMs = Math.floor((ms + JST_OFFSET_MS) / DAY_MS) * DAY_MS;
+  const daysFromMonday = (new Date(dayStartMs).getUTCDay() + 6) % 7;
+  return dayStartMs - daysFromMonday * DAY_MS;
+}
+
+/**
+ * 週の ISO 8601 週番号の表記を返す
+ *
+ * @param {number} weekStartMs - getWeekStartMs() の結果
+ * @returns {string} 例: "2026-W42"
+ */
+function formatIsoWeek(weekStartMs) {
+  // ISO 週はその週の木曜日が属する年の週として数える
+  const thursday = new Date(weekStartMs + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / WEEK_MS) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * 週ごとの配信数を集計する週の一覧（古い順、最後が今週）
+ *
+ * @param {Date} now - 基準日時
+ * @returns {{ week: string, startDate: string, startMs: number }[]}
+ *   week: ISO 週 / startDate: 週の開始日（JST の月曜日、YYYY-MM-DD）
+ */
+function getRecentWeeks(now) {
+  const currentWeekStartMs = getWeekStartMs(now.getTime());
+
+  return Array.from({ length: WEEKLY_COUNT_WEEKS }, (_, index) => {
+    const startMs = currentWeekStartMs - (WEEKLY_COUNT_WEEKS - 1 - index) * WEEK_MS;
+    return {
+      week: formatIsoWeek(startMs),
+      startDate: new Date(startMs).toISOString().slice(0, 10),
+      startMs
+    };
+  });
+}
+
+/**
+ * 集計の途中結果の初期値
+ *
+ * @returns {Object}
+ */
+function createAccumulator() {
+  return {
+    streamCount: 0,
+    totalSeconds: 0,
+    startMinutesSum: 0,
+    firstStartMs: Infinity,
+    weekdayCounts: Array(7).fill(0),
+    heatmap: Array.from({ length: 7 }, () => Array(24).fill(0)),
+    weeklyCounts: Array(WEEKLY_COUNT_WEEKS).fill(0),
+    peakViewersSum: 0,
+    peakViewersCount: 0,
+    maxPeakViewers: null
+  };
+}
+
+/**
+ * 配信1件を集計に加える
+ *
+ * @param {Object} accumulator - createAccumulator() の結果
+ * @param {Object} stream - stream_history.json の配信
+ * @param {number} firstWeekStartMs - 週ごとの配信数を集計する最初の週の開始日時（getWeekStartMs() の結果）
+ */
+function addStream(accumulator, stream, firstWeekStartMs) {
+  const startMs = new Date(stream.actualStartTime).getTime();
+  const endMs = new Date(stream.actualEndTime).getTime();
+  const start = new Date(startMs + JST_OFFSET_MS);
+  const weekday = start.getUTCDay();
+  const hour = start.getUTCHours();
+  const minutes = hour * 60 + start.getUTCMinutes();
+
+  accumulator.streamCount += 1;
+  accumulator.totalSeconds += Math.max(0, endMs - startMs) / 1000;
+  accumulator.startMinutesSum += minutes < DAY_START_HOUR * 60 ? minutes + 24 * 60 : minutes;
+  accumulator.firstStartMs = Math.min(accumulator.firstStartMs, startMs);
+  accumulator.weekdayCounts[weekday] += 1;
+  accumulator.heatmap[weekday][hour] += 1;
+
+  const weekIndex = Math.round((getWeekStartMs(startMs) - firstWeekStartMs) / WEEK_MS);
+  if (weekIndex >= 0 && weekIndex < WEEKLY_COUNT_WEEKS) {
+    accumulator.weeklyCounts[weekIndex] += 1;
+  }
+
+  if (stream.peakConcurrentViewers !== null && stream.peakConcurrentViewers !== undefined) {
+    accumulator.peakViewersSum += stream.peakConcurrentViewers;
+    accumulator.peakViewersCount += 1;
+    accumulator.maxPeakViewers = Math.max(accumulator.maxPeakViewers ?? 0, stream.peakConcurrentViewers);
+  }
+}
+
+/**
+ * 分を時刻の表記にする
+ *
+ * @param {number} minutes - 0時からの分（24時以降を含む）
+ * @returns {string} 例: "21:30" / "25:10"
+ */
+function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 集計の途中結果から表示用の統計を組み立てる
+ *
+ * @param {Object} accumulator - createAccumulator() の結果
+ * @param {Date} now - 基準日時
+ * @param {Object[]} recentWeeks - getRecentWeeks() の結果
+ * @returns {Object}
+ */
+function summarize(accumulator, now, recentWeeks) {
+  const { streamCount, weekdayCounts } = accumulator;
+  const weeklyCounts = recentWeeks.map(({ week, startDate }, index) => ({
+    week,
+    startDate,
+    count: accumulator.weeklyCounts[index]
+  }));
+
+  if (streamCount === 0) {
+    return {
+      streamCount,
+      streamsPerWeek: 0,
+      totalHours: 0,
+      averageDurationMinutes: null,
+      averageStartTime: null,
+      busiestWeekdays: [],
+      weekdayCounts,
+      heatmap: accumulator.heatmap,
+      heatmapMax: 0,
+      weeklyCounts,
+      weeklyCountMax: 0,
+      maxPeakViewers: null,
+      averagePeakViewers: null
+    };
+  }
+
+  // 最初の配信から基準日時までの週数（1週未満は1週とする）
+  const weeks = Math.max(1, (now.getTime() - accumulator.firstStartMs) / WEEK_MS);
+
+  return {
+    streamCount,
+    streamsPerWeek: roundOneDecimal(streamCount / weeks),
+    totalHours: roundOneDecimal(accumulator.totalSeconds / 3600),
+    averageDurationMinutes: Math.round(accumulator.totalSeconds / 60 / streamCount),
+    averageStartTime: formatMinutes(accumulator.startMinutesSum / streamCount),
+    busiestWeekdays: weekdayCounts
+      .map((count, weekday) => ({ count, weekday }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count || a.weekday - b.weekday)
+      .slice(0, BUSIEST_WEEKDAY_COUNT)
+      .map(({ weekday }) => weekday),
+    weekdayCounts,
+    heatmap: accumulator.heatmap,
+    heatmapMax: Math.max(...accumulator.heatmap.flat()),
+    weeklyCounts,
+    weeklyCountMax: Math.max(...accumulator.weeklyCounts),
+    maxPeakViewers: accumulator.maxPeakViewers,
+    averagePeakViewers: accumulator.peakViewersCount
+      ? Math.round(accumulator.peakViewersSum / accumulator.peakViewersCount)
+      : null
+  };
+}
+
+/**
+ * メンバーごとの配信統計を集計する
+ *
+ * - streamsPerWeek: 最初の配信から基準日時までの1週間あたりの配信数
+ * - averageStartTime: 平均開始時刻（5時より前の配信は 24:00 以降として平均する）
+ * - busiestWeekdays: 配信の多い曜日（0: 日曜日 〜 6: 土曜日）
+ * - heatmap: 曜日 × 開始時刻（時）ごとの配信数
+ * - weeklyCounts: 直近12週（今週を含む ISO 週、古い順）ごとの配信数
+ *
+ * @param {Object[]} streams - stream_history.json の配信
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Date} now - 基準日時
+ * @returns {Object<string, Object>} チャンネル定義順のチャンネルキー → 統計
+ *   （チャンネル定義にない配信は数えない）
+ */
+export function computeStreamStats(streams, channels, now) {
+  const accumulators = new Map(Object.keys(channels).map(key => [key, createAccumulator()]));
+  const recentWeeks = getRecentWeeks(now);
+
+  for (const stream of streams) {
+    const accumulator = accumulators.get(stream.channelKey);
+    if (accumulator) addStream(accumulator, stream, recentWeeks[0].startMs);
+  }
+
+  return Object.fromEntries(
+    [...accumulators].map(([key, accumulator]) => [
+      key,
+      { channelName: channels[key].channelName, ...summarize(accumulator, now, recentWeeks) }
+    ])
+  );
+}
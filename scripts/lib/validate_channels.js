@@ -0,0 +1,215 @@
+/**
+ * チャンネル定義（scripts/config/channels.js）の検証
+ *
+ * 設定ミスのまま API を叩いてキャッシュを壊さないよう、
+ * 各スクリプトの起動時に呼び出す
+ */
+
+/**
+ * YouTube チャンネルIDの形式（UC + 22文字）
+ */
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+/**
+ * YouTube 動画IDの形式（11文字）
+ */
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+/**
+ * YouTube ハンドルの形式（@ + 3〜30文字）
+ */
+const HANDLE_PATTERN = /^@[\w.-]{3,30}$/;
+
+/**
+ * 関連チャンネルの役割
+ */
+const SECONDARY_CHANNEL_ROLES = ['official', 'partner'];
+
+/**
+ * メンバーの YouTube チャンネルURLからハンドルを取り出す
+ */
+const YOUTUBE_HANDLE_URL_PATTERN = /^https:\/\/www\.youtube\.com\/(@[\w.-]+)/;
+
+/**
+ * 動画IDとして正しい形式か判定する
+ *
+ * @param {unknown} videoId
+ * @returns {boolean}
+ */
+export function isValidVideoId(videoId) {
+  return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+}
+
+/**
+ * チャンネル定義を検証し、問題点の一覧を返す
+ *
+ * @param {Object<string, Object>} channels - チャンネルキー → チャンネル定義
+ * @returns {string[]} エラーメッセージ一覧（問題なければ空配列）
+ */
+export function findChannelConfigErrors(channels) {
+  const errors = [];
+  const seenChannelIds = new Map();
+
+  for (const [key, channel] of Object.entries(channels)) {
+    if (!channel || typeof channel !== 'object') {
+      errors.push(`${key}: チャンネル定義がオブジェクトではありません`);
+      continue;
+    }
+
+    // 必須項目
+    for (const field of ['channelId', 'channelName', 'freechatVideoId']) {
+      if (typeof channel[field] !== 'string' || channel[field] === '') {
+        errors.push(`${key}: ${field} が設定されていません`);
+      }
+    }
+
+    if (!Array.isArray(channel.excludeVideoIds)) {
+      errors.push(`${key}: excludeVideoIds が配列ではありません`);
+    }
+
+    // チャンネルID
+    if (typeof channel.channelId === 'string' && channel.channelId !== '') {
+      if (!CHANNEL_ID_PATTERN.test(channel.channelId)) {
+        errors.push(`${key}: channelId の形式が不正です (${channel.channelId})`);
+      }
+
+      if (seenChannelIds.has(channel.channelId)) {
+        errors.push(
+          `${key}: channelId が ${seenChannelIds.get(channel.channelId)} と重複しています (${channel.channelId})`
+        );
+      } else {
+        seenChannelIds.set(channel.channelId, key);
+      }
+    }
+
+    // 動画ID
+    if (typeof channel.freechatVideoId === 'string' && channel.freechatVideoId !== '') {
+      if (!isValidVideoId(channel.freechatVideoId)) {
+        errors.push(`${key}: freechatVideoId の形式が不正です (${channel.freechatVideoId})`);
+      }
+    }
+
+    if (Array.isArray(channel.excludeVideoIds)) {
+      for (const videoId of channel.excludeVideoIds) {
+        if (!isValidVideoId(videoId)) {
+          errors.push(`${key}: excludeVideoIds に不正な動画IDがあります (${videoId})`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * メンバーのハンドル → チャンネルキー のマップを作る
+ * （members.js の sns の YouTube URL と collabKeywords の @ハンドル。大文字・小文字は区別しない）
+ *
+ * @param {Object<string, Object>} members - メンバープロフィール定義
+ * @returns {Map<string, string>}
+ */
+function getMemberHandles(members) {
+  const handles = new Map();
+
+  for (const [key, member] of Object.entries(members)) {
+    const urlHandles = (member?.sns ?? [])
+      .map(sns => YOUTUBE_HANDLE_URL_PATTERN.exec(sns.url ?? '')?.[1])
+      .filter(Boolean);
+    const keywordHandles = (member?.collabKeywords ?? []).filter(keyword => HANDLE_PATTERN.test(keyword));
+
+    for (const handle of [...urlHandles, ...keywordHandles]) {
+      handles.set(handle.toLowerCase(), key);
+    }
+  }
+
+  return handles;
+}
+
+/**
+ * 関連チャンネル定義（SECONDARY_CHANNELS）を検証し、問題点の一覧を返す
+ *
+ * @param {Object<string, Object>} secondaryChannels - チャンネルキー → 関連チャンネル定義
+ * @param {Object<string, Object>} channels - メンバーのチャンネル定義（キー・チャンネルIDの重複確認用）
+ * @param {Object<string, Object>} [members] - メンバープロフィール定義（ハンドルの重複確認用）
+ * @returns {string[]} エラーメッセージ一覧（問題なければ空配列）
+ */
+export function findSecondaryChannelConfigErrors(secondaryChannels, channels, members = {}) {
+  const errors = [];
+  const seenChannelIds = new Map(
+    Object.entries(channels).map(([key, channel]) => [channel?.channelId, key])
+  );
+  // 同じチャンネルを二重に取得しないよう、ハンドルもメンバー・関連チャンネル間で重複させない
+  const seenHandles = getMemberHandles(members);
+
+  for (const [key, channel] of Object.entries(secondaryChannels)) {
+    if (!channel || typeof channel !== 'object') {
+      errors.push(`${key}: チャンネル定義がオブジェクトではありません`);
+      continue;
+    }
+
+    if (key in channels) {
+      errors.push(`${key}: メンバーのチャンネルキーと重複しています`);
+    }
+
+    if (typeof channel.channelName !== 'string' || channel.channelName === '') {
+      errors.push(`${key}: channelName が設定されていません`);
+    }
+
+    if (!SECONDARY_CHANNEL_ROLES.includes(channel.role)) {
+      errors.push(`${key}: role は ${SECONDARY_CHANNEL_ROLES.join(' / ')} のいずれかを指定してください (${channel.role})`);
+    }
+
+    // チャンネルID・ハンドル（どちらか一方）
+    if (channel.channelId === undefined && channel.handle === undefined) {
+      errors.push(`${key}: channelId か handle が設定されていません`);
+    }
+
+    if (channel.channelId !== undefined) {
+      if (typeof channel.channelId !== 'string' || !CHANNEL_ID_PATTERN.test(channel.channelId)) {
+        errors.push(`${key}: channelId の形式が不正です (${channel.channelId})`);
+      } else if (seenChannelIds.has(channel.channelId)) {
+        errors.push(
+          `${key}: channelId が ${seenChannelIds.get(channel.channelId)} と重複しています (${channel.channelId})`
+        );
+      } else {
+        seenChannelIds.set(channel.channelId, key);
+      }
+    }
+
+    if (channel.handle !== undefined) {
+      if (typeof channel.handle !== 'string' || !HANDLE_PATTERN.test(channel.handle)) {
+        errors.push(`${key}: handle の形式が不正です (${channel.handle})`);
+      } else if (seenHandles.has(channel.handle.toLowerCase())) {
+        errors.push(
+          `${key}: handle が ${seenHandles.get(channel.handle.toLowerCase())} と重複しています (${channel.handle})`
+        );
+      } else {
+        seenHandles.set(channel.handle.toLowerCase(), key);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * チャンネル定義を検証し、問題があれば例外を投げる
+ *
+ * @param {Object<string, Object>} channels - チャンネルキー → チャンネル定義
+ * @param {Object<string, Object>} [secondaryChannels] - チャンネルキー → 関連チャンネル定義
+ * @param {Object<string, Object>} [members] - メンバープロフィール定義（ハンドルの重複確認用）
+ * @throws {Error} 設定に問題がある場合
+ */
+export function validateChannels(channels, secondaryChannels = {}, members = {}) {
+  const errors = [
+    ...findChannelConfigErrors(channels),
+    ...findSecondaryChannelConfigErrors(secondaryChannels, channels, members)
+  ];
+
+  if (errors.length > 0) {
+    throw new Error(
+      'チャンネル定義に問題があります\n' +
+      errors.map(error => `  - ${error}`).join('\n')
+    );
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * 配信通知の Webhook 送信処理
+ *
+ * 前回の live_cache.json と今回の結果を比べて配信開始・新しい配信予定枠を検出し、
+ * scripts/config/webhooks.js の Webhook に通知する
+ *
+ * 同じ通知を二重に送らないよう、送信済みのイベントは webhook_state.json に保存して引き継ぐ
+ * 送信に失敗したイベントも webhook_state.json に残し、次回の実行で再送する
+ * （次回は前回のキャッシュとの差分に現れないため、検出し直すことができない）
+ */
+
+import fetch from 'node-fetch';
+import { formatJST } from '../../docs/assets/scripts/video.js';
+
+/**
+ * Webhook 送信のタイムアウト（ミリ秒）
+ */
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const SITE_URL = 'https://stellartfan.com/';
+
+const EVENT_LABELS = {
+  live: '配信開始',
+  upcoming: '新しい配信予定'
+};
+
+/**
+ * JSON 形式で送るイベント名
+ */
+const JSON_EVENT_NAMES = {
+  live: 'live_start',
+  upcoming: 'new_upcoming'
+};
+
+/**
+ * 前回と今回の live_cache.json を比べて通知するイベントを検出する
+ *
+ * - live: 前回は配信中でなかった（またはなかった）枠が配信中になった
+ * - upcoming: 前回なかった配信予定枠が現れた
+ *
+ * 前回のキャッシュがない場合は、既存の枠をまとめて通知しないよう何も検出しない
+ *
+ * @param {Object|null} previousCache - 前回の live_cache.json の内容
+ * @param {Object} liveCache - 今回の live_cache.json の内容
+ * @param {Object<string, Object>} channels - チャンネル定義
+ * @param {Object<string, Object>} members - メンバープロフィール定義（色の取得用）
+ * @returns {Object[]}
+ */
+export function detectNotifyEvents(previousCache, liveCache, channels, members) {
+  if (!previousCache?.channels) return [];
+
+  const events = [];
+
+  for (const [channelKey, entries] of Object.entries(liveCache.channels)) {
+    const previousStatusMap = new Map(
+      (previousCache.channels[channelKey] ?? []).map(entry => [entry.videoId, entry.status])
+    );
+
+    for (const entry of entries) {
+      const previousStatus = previousStatusMap.get(entry.videoId);
+
+      const type = entry.status === 'live' && previousStatus !== 'live'
+        ? 'live'
+        : entry.status === 'upcoming' && !previousStatus
+          ? 'upcoming'
+          : null;
+      if (!type) continue;
+
+      events.push({
+        id: `${type}:${entry.videoId}`,
+        type,
+        videoId: entry.videoId,
+        channelKey,
+        channelName: channels[channelKey]?.channelName ?? channelKey,
+        color: members[channelKey]?.color ?? null,
+        title: entry.title,
+        url: entry.url,
+        thumbnail: entry.thumbnail,
+        scheduledStartTime: entry.scheduledStartTime,
+        actualStartTime: entry.actualStartTime
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * 前回送信に失敗したイベントを今回のイベントに加える
+ *
+ * 今回の live_cache.json でも同じ状態の枠のみ再送する
+ * （配信開始の通知は配信中の間、新しい配信予定の通知は配信予定の間のみ）
+ *
+ * @param {Object[]} events - 今回検出したイベント
+ * @param {Object[]} pending - 前回送信に失敗したイベント（webhook_state.json の pending）
+ * @param {Object} liveCache - 今回の live_cache.json の内容
+ * @returns {Object[]} 再送するイベントを先頭に、イベントIDの重複を除いたもの
+ */
+export function addPendingEvents(events, pending, liveCache) {
+  const retryEvents = pending.filter(event =>
+    (liveCache.channels[event.channelKey] ?? []).some(entry =>
+      entry.videoId === event.videoId && entry.status === event.type
+    )
+  );
+  const retryIds = new Set(retryEvents.map(event => event.id));
+
+  return [...retryEvents, ...events.filter(event => !retryIds.has(event.id))];
+}
+
+/**
+ * Discord の埋め込み形式のペイロードを生成する
+ *
+ * @param {Object} event
+ * @returns {Object}
+ */
+export function buildDiscordPayload(event) {
+  const startTime = event.type === 'live' ? event.actualStartTime : event.scheduledStartTime;
+  const timeLabel = event.type === 'live' ? '開始' : '開始予定';
+
+  return {
+    content: `【${EVENT_LABELS[event.type]}】${event.channelName}`,
+    embeds: [{
+      title: event.title,
+      url: event.url,
+      description: startTime ? `${timeLabel}：${formatJST(startTime)}（JST）` : undefined,
+      color: event.color ? parseInt(event.color.slice(1), 16) : undefined,
+      author: { name: event.channelName },
+      image: event.thumbnail ? { url: event.thumbnail } : undefined,
+      footer: { text: 'StellArt. 非公式ファンサイト' }
+    }],
+    allowed_mentions: { parse: [] }
+  };
+}
+
+/**
+ * 汎用 JSON 形式のペイロードを生成する
+ *
+ * @param {Object} event
+ * @param {Date} now - 送信日時
+ * @returns {Object}
+ */
+export function buildJsonPayload(event, now) {
+  return {
+    event: JSON_EVENT_NAMES[event.type],
+    sentAt: now.toISOString(),
+    site: SITE_URL,
+    channel: { key: event.channelKey, name: event.channelName },
+    video: {
+      videoId: event.videoId,
+      title: event.title,
+      url: event.url,
+      thumbnail: event.thumbnail,
+      scheduledStartTime: event.scheduledStartTime,
+      actualStartTime: event.actualStartTime
+    }
+  };
+}
+
+/**
+ * Webhook に JSON を POST する
+ *
+ * @param {string} url
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ * @throws {Error} 通信エラー・2xx 以外のレスポンスの場合
+ */
+async function postWebhook(url, payload) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new Error(`通信エラー: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`${response.status}: ${response.statusText}`);
+  }
+}
+
+/**
+ * 未送信のイベントを Webhook に通知する
+ *
+ * 送信に失敗したイベントは送信済みにせず、エラーを出力して次へ進む
+ * （通知の失敗でキャッシュの更新を止めない。失敗したイベントは pending として返し、次回再送する）
+ *
+ * @param {Object} params
+ * @param {Object[]} params.webhooks - Webhook 定義
+ * @param {Object[]} params.events - 通知するイベント
+ * @param {Object<string, string>} params.sent - 送信済みのキー（"Webhook名:イベントID"） → 送信日時
+ * @param {Object<string, string|undefined>} params.env - Webhook URL を読み込む環境変数
+ * @param {Date} params.now - 送信日時
+ * @returns {Promise<{ sent: Object<string, string>, pending: Object[] }>}
+ *   更新後の送信済みのキーと、いずれかの Webhook への送信に失敗したイベント
+ */
+export async function notifyWebhooks({ webhooks, events, sent, env, now }) {
+  const updatedSent = { ...sent };
+  const failedIds = new Set();
+
+  for (const webhook of webhooks) {
+    const url = env[webhook.urlEnv];
+    if (!url) continue;
+
+    for (const event of events) {
+      const key = `${webhook.name}:${event.id}`;
+      if (!webhook.events.includes(event.type) || updatedSent[key]) continue;
+
+      const payload = webhook.format === 'discord'
+        ? buildDiscordPayload(event)
+        : buildJsonPayload(event, now);
+
+      try {
+        await postWebhook(url, payload);
+        updatedSent[key] = now.toISOString();
+        console.log(`${webhook.name}: ${EVENT_LABELS[event.type]}を通知しました (${event.videoId})`);
+      } catch (error) {
+        console.error(`${webhook.name}: 通知に失敗しました (${event.videoId}, ${error.message})`);
+        failedIds.add(event.id);
+      }
+    }
+  }
+
+  return {
+    sent: updatedSent,
+    pending: events.filter(event => failedIds.has(event.id))
+  };
+}
+
+/**
+ * 保持期間を過ぎた送信済みのキーを取り除く
+ *
+ * @param {Object<string, string>} sent - 送信済みのキー → 送信日時
+ * @param {Date} now - 基準日時
+ * @param {number} retentionMs - 保持期間（ミリ秒）
+ * @returns {Object<string, string>}
+ */
+export function pruneSentEvents(sent, now, retentionMs) {
+  return Object.fromEntries(
+    Object.entries(sent).filter(([, sentAt]) => now.getTime() - new Date(sentAt).getTime() <= retentionMs)
+  );
+}
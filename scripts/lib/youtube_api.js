@@ -0,0 +1,383 @@
+/**
+ * YouTube Data API v3 の呼び出し共通処理
+ *
+ * fetch_youtube.js / fetch_videos.js / fetch_comments.js 共通
+ */
+
+import fetch from 'node-fetch';
+
+/**
+ * YouTube Data API のベースURL（テスト時は YOUTUBE_API_BASE_URL でモックサーバーに差し替える）
+ */
+const API_BASE_URL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3';
+
+/**
+ * エンドポイントごとのクォータ消費量（1リクエストあたり）
+ * https://developers.google.com/youtube/v3/determine_quota_cost
+ */
+const QUOTA_COST = {
+  search: 100,
+  videos: 1,
+  playlistItems: 1,
+  channels: 1,
+  commentThreads: 1,
+  comments: 1
+};
+
+/**
+ * 実行中のクォータ使用量（エンドポイント → units）
+ */
+const quotaUsage = new Map();
+
+/**
+ * 実行中のクォータ使用量の合計を返す
+ *
+ * @returns {number}
+ */
+export function getQuotaUsage() {
+  let total = 0;
+  for (const units of quotaUsage.values()) {
+    total += units;
+  }
+  return total;
+}
+
+/**
+ * クォータ使用量をログ用の文字列にする
+ *
+ * @returns {string} 例: "12 units (playlistItems: 4, videos: 8)"
+ */
+export function formatQuotaUsage() {
+  const breakdown = [...quotaUsage]
+    .map(([endpoint, units]) => `${endpoint}: ${units}`)
+    .join(', ');
+
+  return `${getQuotaUsage()} units (${breakdown || 'なし'})`;
+}
+
+/**
+ * API エラー
+ *
+ * レスポンスの error.errors[0].reason（quotaExceeded / commentsDisabled など）を保持する
+ */
+export class YouTubeApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number|null} status - HTTP ステータス（通信エラーの場合は null）
+   * @param {string|null} reason - API のエラー理由
+   */
+  constructor(message, status, reason) {
+    super(message);
+    this.name = 'YouTubeApiError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/**
+ * 失敗したリクエストの最大再試行回数
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * 再試行の初回待機時間（ミリ秒）。再試行ごとに倍にする
+ * （テスト時は YOUTUBE_RETRY_BASE_DELAY_MS で短くする）
+ */
+const RETRY_BASE_DELAY_MS = Number(process.env.YOUTUBE_RETRY_BASE_DELAY_MS ?? 1000);
+
+/**
+ * 再試行しても解消しない API のエラー理由
+ * （quotaExceeded は日次クォータのため当日中は回復しない）
+ */
+const NON_RETRYABLE_REASONS = new Set([
+  'quotaExceeded',
+  'keyInvalid',
+  'forbidden',
+  'commentsDisabled',
+  'videoNotFound',
+  'playlistNotFound'
+]);
+
+/**
+ * 再試行すべきエラーか判定する
+ *
+ * @param {YouTubeApiError} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (NON_RETRYABLE_REASONS.has(error.reason)) return false;
+
+  // ネットワークエラー・不正なレスポンス・5xx・429・レート制限
+  return error.status === null ||
+    error.status >= 500 ||
+    error.status === 429 ||
+    error.reason === 'rateLimitExceeded' ||
+    error.reason === 'userRateLimitExceeded';
+}
+
+/**
+ * エラーメッセージから URL のクエリ文字列を取り除く
+ * （通信エラーのメッセージにはリクエスト URL が含まれるため、API キーがログや JSON に残らないようにする）
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function redactQuery(text) {
+  return text
+    .replace(/(https?:\/\/[^\s?#]+)[?#]\S*/g, '$1')
+    .replace(/key=[^&\s]*/g, 'key=***');
+}
+
+/**
+ * 指定時間待機する
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * API を1回呼び出して JSON を返す
+ *
+ * @param {string} endpoint
+ * @param {URLSearchParams} query
+ * @returns {Promise<Object>} レスポンス JSON
+ * @throws {YouTubeApiError} 通信エラー・200 以外のレスポンスの場合
+ */
+async function requestOnce(endpoint, query) {
+  // エラーになったリクエストもクォータを消費する
+  quotaUsage.set(endpoint, (quotaUsage.get(endpoint) ?? 0) + (QUOTA_COST[endpoint] ?? 1));
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/${endpoint}?${query}`);
+  } catch (error) {
+    throw new YouTubeApiError(
+      `${endpoint} の取得に失敗しました (通信エラー: ${redactQuery(error.message)})`,
+      null,
+      'networkError'
+    );
+  }
+
+  const json = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const error = json?.error;
+    throw new YouTubeApiError(
+      `${endpoint} の取得に失敗しました (${response.status}: ${redactQuery(error?.message ?? response.statusText)})`,
+      response.status,
+      error?.errors?.[0]?.reason ?? null
+    );
+  }
+
+  if (!json) {
+    throw new YouTubeApiError(
+      `${endpoint} の取得に失敗しました (レスポンスが JSON ではありません)`,
+      null,
+      'invalidResponse'
+    );
+  }
+
+  return json;
+}
+
+/**
+ * API を呼び出して JSON を返す
+ *
+ * 通信エラー・5xx・レート制限の場合は指数バックオフで再試行する
+ *
+ * @param {string} endpoint - search / videos / playlistItems など
+ * @param {Object<string, string|number|undefined>} params - クエリパラメータ（key を含む）
+ * @returns {Promise<Object>} レスポンス JSON
+ * @throws {YouTubeApiError} 再試行しても取得できなかった場合
+ */
+export async function fetchYouTubeApi(endpoint, params) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    query.set(name, String(value));
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(endpoint, query);
+    } catch (error) {
+      const reason = error.reason ? ` [${error.reason}]` : '';
+
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        console.error(`${error.message}${reason}`);
+        throw error;
+      }
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`${error.message}${reason} ${delay}ms 後に再試行します (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * チャンネルIDからアップロード動画再生リストIDを求める
+ * （UCxxxx → UUxxxx）
+ *
+ * @param {string} channelId
+ * @returns {string}
+ */
+export function getUploadsPlaylistId(channelId) {
+  return `UU${channelId.slice(2)}`;
+}
+
+/**
+ * ハンドル（@xxxx）からチャンネルIDを取得する
+ * （channels.list: 1 unit）
+ *
+ * @param {string} handle
+ * @param {string} apiKey
+ * @returns {Promise<string>} チャンネルID
+ * @throws {YouTubeApiError} チャンネルが見つからない場合
+ */
+export async function fetchChannelIdByHandle(handle, apiKey) {
+  const json = await fetchYouTubeApi('channels', {
+    part: 'id',
+    forHandle: handle,
+    key: apiKey
+  });
+
+  const channelId = json.items?.[0]?.id;
+  if (!channelId) {
+    throw new YouTubeApiError(`${handle} のチャンネルが見つかりません`, null, 'channelNotFound');
+  }
+
+  return channelId;
+}
+
+/**
+ * チャンネルの新しい順のアップロード動画ID一覧を取得する
+ * （playlistItems.list: 1ページ 1 unit）
+ *
+ * @param {string} channelId
+ * @param {string} apiKey
+ * @param {number} maxResults - 取得する最大件数
+ * @returns {Promise<string[]>} 動画ID一覧
+ */
+export async function fetchRecentUploadIds(channelId, apiKey, maxResults = 10) {
+  const videoIds = [];
+  let pageToken;
+
+  do {
+    const json = await fetchYouTubeApi('playlistItems', {
+      part: 'contentDetails',
+      playlistId: getUploadsPlaylistId(channelId),
+      maxResults: Math.min(50, maxResults - videoIds.length),
+      pageToken,
+      key: apiKey
+    });
+
+    for (const item of json.items ?? []) {
+      videoIds.push(item.contentDetails.videoId);
+    }
+
+    pageToken = json.nextPageToken;
+  } while (pageToken && videoIds.length < maxResults);
+
+  return videoIds;
+}
+
+/**
+ * チャンネルのアップロード動画のうち、既知の動画より新しいものの動画ID一覧を取得する
+ *
+ * アップロード動画再生リストを新しい順に辿り、knownIds に含まれる動画に到達したところで打ち切る
+ * （初回は全件を取得する）
+ *
+ * @param {string} channelId
+ * @param {string} apiKey
+ * @param {Set<string>} knownIds - 取得済みの動画ID
+ * @returns {Promise<string[]>} 新しい順の動画ID一覧
+ */
+export async function fetchNewUploadIds(channelId, apiKey, knownIds) {
+  const videoIds = [];
+  let pageToken;
+
+  do {
+    const json = await fetchYouTubeApi('playlistItems', {
+      part: 'contentDetails',
+      playlistId: getUploadsPlaylistId(channelId),
+      maxResults: 50,
+      pageToken,
+      key: apiKey
+    });
+
+    for (const item of json.items ?? []) {
+      const videoId = item.contentDetails.videoId;
+      if (knownIds.has(videoId)) return videoIds;
+      videoIds.push(videoId);
+    }
+
+    pageToken = json.nextPageToken;
+  } while (pageToken);
+
+  return videoIds;
+}
+
+/**
+ * videos.list で動画の詳細を取得する（50件ずつ分割して呼び出す）
+ *
+ * @param {string[]} videoIds
+ * @param {string[]} parts - snippet / contentDetails / liveStreamingDetails など
+ * @param {string} apiKey
+ * @returns {Promise<Object[]>} video リソース一覧（存在しない動画は含まれない）
+ */
+export async function fetchVideoDetails(videoIds, parts, apiKey) {
+  const items = [];
+
+  for (let i = 0; i < videoIds.length; i += 50) {
+    const json = await fetchYouTubeApi('videos', {
+      part: parts.join(','),
+      id: videoIds.slice(i, i + 50).join(','),
+      maxResults: 50,
+      key: apiKey
+    });
+
+    items.push(...(json.items ?? []));
+  }
+
+  return items;
+}
+
+/**
+ * 動画のコメントスレッドを関連度順に1ページ分取得する
+ * （commentThreads.list: 1 unit）
+ *
+ * @param {string} videoId
+ * @param {string} apiKey
+ * @param {number} maxResults - 取得する最大件数（最大100）
+ * @returns {Promise<Object[]>} commentThread リソース一覧
+ */
+export async function fetchTopCommentThreads(videoId, apiKey, maxResults = 20) {
+  const json = await fetchYouTubeApi('commentThreads', {
+    part: 'snippet',
+    videoId,
+    order: 'relevance',
+    maxResults,
+    textFormat: 'plainText',
+    key: apiKey
+  });
+
+  return json.items ?? [];
+}
+
+/**
+ * ISO 8601 形式の再生時間（PT1H2M3S など）を秒数に変換する
+ *
+ * @param {string|undefined} duration
+ * @returns {number|null} 秒数（解釈できない場合は null）
+ */
+export function parseDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration ?? '');
+  if (!match) return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
@@ -0,0 +1,24 @@
+/**
+ * チャンネル・メンバー定義（テンプレート用）
+ *
+ * scripts/config/channels.js と scripts/config/members.js を
+ * チャンネルキー付きの配列にまとめる
+ *
+ * メンバープロフィールがないチャンネルは profile が null になり、
+ * 「メンバー詳細」セクションには表示しない（ビルド時に警告を出す）
+ */
+
+import { CHANNELS } from '../../../scripts/config/channels.js';
+import { MEMBERS } from '../../../scripts/config/members.js';
+
+export default Object.entries(CHANNELS).map(([key, channel]) => {
+  if (!MEMBERS[key]) {
+    console.warn(`${key}: メンバー定義がないため「メンバー詳細」をスキップします`);
+  }
+
+  return {
+    key,
+    ...channel,
+    profile: MEMBERS[key] ?? null
+  };
+});
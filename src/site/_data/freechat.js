@@ -0,0 +1,17 @@
+/**
+ * ビルド時点の freechat.json（フリーチャットの配信スケジュールの表示用）
+ *
+ * まだ生成されていない場合は空として扱う
+ */
+
+import fs from 'fs';
+
+const FREECHAT_PATH = 'docs/assets/data/json/freechat.json';
+
+export default function () {
+  if (!fs.existsSync(FREECHAT_PATH)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(FREECHAT_PATH, 'utf-8'));
+}
@@ -0,0 +1,17 @@
+/**
+ * ビルド時点の live_cache.json（配信一覧の事前描画用）
+ *
+ * まだ生成されていない場合は空のキャッシュとして扱う
+ */
+
+import fs from 'fs';
+
+const LIVE_CACHE_PATH = 'docs/assets/data/json/live_cache.json';
+
+export default function () {
+  if (!fs.existsSync(LIVE_CACHE_PATH)) {
+    return { updatedAt: null, channels: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(LIVE_CACHE_PATH, 'utf-8'));
+}
@@ -0,0 +1,17 @@
+/**
+ * ビルド時点の stream_stats.json（配信統計ページ用）
+ *
+ * まだ生成されていない場合は空の集計として扱う
+ */
+
+import fs from 'fs';
+
+const STREAM_STATS_PATH = 'docs/assets/data/json/stream_stats.json';
+
+export default function () {
+  if (!fs.existsSync(STREAM_STATS_PATH)) {
+    return { updatedAt: null, streamCount: 0, members: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(STREAM_STATS_PATH, 'utf-8'));
+}
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildAtomFeed, escapeXml, updateFeedItems } from '../scripts/lib/atom_feed.js';
+
+const NOW = new Date('2026-08-22T13:00:00Z');
+const SEEN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const CHANNELS = {
+  channelA: { channelName: '天硝路ろまん' },
+  channelB: { channelName: '華鉈イオ' }
+};
+
+const LIVE_CACHE = {
+  channels: {
+    channelA: [
+      {
+        videoId: 'upcomingA01',
+        title: '雑談配信',
+        url: 'https://www.youtube.com/watch?v=upcomingA01',
+        status: 'upcoming',
+        scheduledStartTime: '2026-08-23T12:00:00Z',
+        actualStartTime: null,
+        actualEndTime: null
+      },
+      {
+        videoId: 'endedA00001',
+        title: '終了した配信',
+        url: 'https://www.youtube.com/watch?v=endedA00001',
+        status: 'end',
+        scheduledStartTime: '2026-08-22T09:00:00Z',
+        actualStartTime: '2026-08-22T09:00:00Z',
+        actualEndTime: '2026-08-22T11:00:00Z'
+      }
+    ],
+    channelB: [
+      {
+        videoId: 'liveB000001',
+        title: 'ゲーム配信',
+        url: 'https://www.youtube.com/watch?v=liveB000001',
+        status: 'live',
+        scheduledStartTime: null,
+        actualStartTime: '2026-08-22T12:00:00Z',
+        actualEndTime: null
+      }
+    ]
+  }
+};
+
+describe('updateFeedItems', () => {
+  it('配信予定・配信中の新しい枠を追加する', () => {
+    const { items, added } = updateFeedItems({
+      previousItems: [],
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: NOW,
+      maxItems: 50,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+
+    assert.deepEqual(added, items);
+    assert.deepEqual(items.map(item => item.videoId), ['upcomingA01', 'liveB000001']);
+    assert.deepEqual(items[1], {
+      videoId: 'liveB000001',
+      channelKey: 'channelB',
+      channelName: '華鉈イオ',
+      title: 'ゲーム配信',
+      url: 'https://www.youtube.com/watch?v=liveB000001',
+      thumbnail: 'https://i.ytimg.com/vi/liveB000001/hqdefault.jpg',
+      status: 'live',
+      scheduledStartTime: '2026-08-22T12:00:00Z',
+      publishedAt: NOW.toISOString()
+    });
+  });
+
+  it('掲載済みの枠は追加せず、新しい項目を先頭に置いて上限で切る', () => {
+    const previousItems = [
+      { videoId: 'upcomingA01', publishedAt: '2026-08-22T12:00:00Z' },
+      { videoId: 'oldItem0001', publishedAt: '2026-08-21T12:00:00Z' }
+    ];
+
+    const { items, added } = updateFeedItems({
+      previousItems,
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: NOW,
+      maxItems: 2,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+
+    assert.deepEqual(added.map(item => item.videoId), ['liveB000001']);
+    assert.deepEqual(items.map(item => item.videoId), ['liveB000001', 'upcomingA01']);
+  });
+
+  it('上限で押し出された枠も掲載済みとして残し、再び追加しない', () => {
+    const first = updateFeedItems({
+      previousItems: [],
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: NOW,
+      maxItems: 1,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+    assert.deepEqual(first.items.map(item => item.videoId), ['upcomingA01']);
+    assert.deepEqual(first.seenIds, { upcomingA01: NOW.toISOString(), liveB000001: NOW.toISOString() });
+
+    const later = new Date('2026-08-22T13:30:00Z');
+    const second = updateFeedItems({
+      previousItems: first.items,
+      previousSeenIds: first.seenIds,
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: later,
+      maxItems: 1,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+
+    assert.deepEqual(second.added, []);
+    assert.deepEqual(second.items.map(item => item.videoId), ['upcomingA01']);
+  });
+
+  it('掲載済みの動画IDは期間を過ぎ、live_cache.json からも消えたものだけ削除する', () => {
+    const { seenIds } = updateFeedItems({
+      previousItems: [],
+      previousSeenIds: {
+        upcomingA01: '2026-07-01T12:00:00Z',
+        oldItem0001: '2026-07-01T12:00:00Z',
+        newItem0001: '2026-08-21T12:00:00Z'
+      },
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: NOW,
+      maxItems: 50,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+
+    assert.deepEqual(seenIds, {
+      upcomingA01: '2026-07-01T12:00:00Z',
+      newItem0001: '2026-08-21T12:00:00Z',
+      liveB000001: NOW.toISOString()
+    });
+  });
+});
+
+describe('buildAtomFeed', () => {
+  it('項目をエントリとして出力し、開始時刻を JST で記載する', () => {
+    const { items } = updateFeedItems({
+      previousItems: [],
+      liveCache: LIVE_CACHE,
+      channels: CHANNELS,
+      now: NOW,
+      maxItems: 50,
+      seenRetentionMs: SEEN_RETENTION_MS
+    });
+    const xml = buildAtomFeed(items, NOW);
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>/);
+    assert.match(xml, /<updated>2026-08-22T13:00:00.000Z<\/updated>/);
+    assert.equal(xml.match(/<entry>/g).length, 2);
+    assert.match(xml, /<id>tag:stellartfan.com,2026:video:upcomingA01<\/id>/);
+    assert.match(xml, /<title>【配信予定】【天硝路ろまん】雑談配信<\/title>/);
+    assert.match(xml, /配信予定：2026\/8\/23 21:00:00（JST）/);
+    assert.match(xml, /&lt;img src=&quot;https:\/\/i.ytimg.com\/vi\/upcomingA01\/hqdefault.jpg&quot;/);
+  });
+
+  it('項目がなくても有効なフィードを出力する', () => {
+    const xml = buildAtomFeed([], NOW);
+
+    assert.doesNotMatch(xml, /<entry>/);
+    assert.match(xml, /<updated>2026-08-22T13:00:00.000Z<\/updated>/);
+  });
+});
+
+describe('escapeXml', () => {
+  it('XML の特殊文字をエスケープする', () => {
+    assert.equal(escapeXml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectParticipants, getCollabKeywords } from '../scripts/lib/collab.js';
+
+const CHANNELS = {
+  channelA: { channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g', channelName: '天硝路ろまん' },
+  channelB: { channelId: 'UCFernrRmaCRoOjZ55pwNxpw', channelName: '華鉈イオ' },
+  channelC: { channelName: 'にうふぁ' }
+};
+
+const MEMBERS = {
+  channelA: { collabKeywords: ['@RomanTenshoji'] },
+  channelB: { collabKeywords: ['@IoKanata', '#イオ観測'] }
+};
+
+const KEYWORDS = getCollabKeywords(CHANNELS, MEMBERS);
+
+describe('getCollabKeywords', () => {
+  it('タイトル用の語と概要欄用のメンション・チャンネルURLをまとめる', () => {
+    assert.deepEqual([...KEYWORDS], [
+      ['channelA', {
+        title: ['天硝路ろまん', '@RomanTenshoji'],
+        description: ['@RomanTenshoji', 'youtube.com/channel/UCrxtv0Zc8uQNfsY0HsAGY8g']
+      }],
+      ['channelB', {
+        title: ['華鉈イオ', '@IoKanata', '#イオ観測'],
+        description: ['@IoKanata', 'youtube.com/channel/UCFernrRmaCRoOjZ55pwNxpw']
+      }],
+      ['channelC', { title: ['にうふぁ'], description: [] }]
+    ]);
+  });
+});
+
+describe('detectParticipants', () => {
+  it('タイトルに他のメンバーの名前・判定語が含まれていれば参加者に加える', () => {
+    const participants = detectParticipants(
+      'channelC',
+      { title: '【コラボ】3人でゲーム #イオ観測【にうふぁ / 天硝路ろまん】' },
+      KEYWORDS
+    );
+
+    assert.deepEqual(participants, ['channelC', 'channelA', 'channelB']);
+  });
+
+  it('概要欄はメンション・チャンネルへのリンクのみで判定する', () => {
+    const participants = detectParticipants(
+      'channelC',
+      {
+        title: '【コラボ】2人でゲーム【にうふぁ / StellArt.】',
+        description: 'ゲスト：https://www.youtube.com/channel/UCrxtv0Zc8uQNfsY0HsAGY8g'
+      },
+      KEYWORDS
+    );
+
+    assert.deepEqual(participants, ['channelC', 'channelA']);
+    assert.deepEqual(
+      detectParticipants('channelC', { title: '【雑談】', description: 'ゲスト：@IoKanata さん' }, KEYWORDS),
+      ['channelC', 'channelB']
+    );
+  });
+
+  it('概要欄にメンバーの名前・ハッシュタグが並んでいるだけでは参加者に加えない', () => {
+    assert.deepEqual(
+      detectParticipants(
+        'channelC',
+        {
+          title: '【雑談】おはなし【にうふぁ / StellArt.】',
+          description: 'StellArt.：天硝路ろまん / 華鉈イオ / にうふぁ\n#イオ観測'
+        },
+        KEYWORDS
+      ),
+      ['channelC']
+    );
+  });
+
+  it('別のハンドルの一部に一致するメンションは参加者に加えない', () => {
+    assert.deepEqual(
+      detectParticipants('channelC', { title: '【雑談】', description: '@IoKanataSub / @RomanTenshoji.fan' }, KEYWORDS),
+      ['channelC']
+    );
+  });
+
+  it('自分の名前しか含まれていなければ配信したチャンネルのみ', () => {
+    assert.deepEqual(
+      detectParticipants('channelA', { title: '【雑談】おはなし【天硝路ろまん / StellArt.】' }, KEYWORDS),
+      ['channelA']
+    );
+  });
+});
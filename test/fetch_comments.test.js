@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import { apiError, loadFixture, startMockYouTubeServer } from './helpers/mock_youtube_server.js';
+
+const SCRIPT = new URL('../scripts/fetch_comments.js', import.meta.url).pathname;
+
+/**
+ * モックサーバーに向けて fetch_comments.js を実行する
+ *
+ * @param {string} baseUrl - モックサーバーのURL
+ * @param {string} outputDir - 出力先ディレクトリ
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runFetchComments(baseUrl, outputDir) {
+  return promisify(execFile)('node', [SCRIPT], {
+    env: {
+      ...process.env,
+      YOUTUBE_API_KEY: 'test-key',
+      YOUTUBE_API_BASE_URL: baseUrl,
+      YOUTUBE_OUTPUT_DIR: outputDir
+    },
+    timeout: 30000
+  });
+}
+
+/**
+ * コメントアーカイブのパス
+ *
+ * @param {string} outputDir
+ * @param {string} videoId
+ * @returns {string}
+ */
+function archivePath(outputDir, videoId) {
+  return path.join(outputDir, 'comments', `${videoId}.json`);
+}
+
+/**
+ * 出力されたアーカイブを読み込む
+ *
+ * @param {string} outputDir
+ * @param {string} videoId
+ * @returns {Object}
+ */
+function readArchive(outputDir, videoId) {
+  return JSON.parse(fs.readFileSync(archivePath(outputDir, videoId), 'utf-8'));
+}
+
+/**
+ * アーカイブ済みのスレッドを生成する
+ *
+ * @param {string} id
+ * @param {string} publishedAt
+ * @param {Object[]} [replies]
+ * @returns {Object}
+ */
+function archivedThread(id, publishedAt, replies = []) {
+  return {
+    id,
+    authorDisplayName: '@fan',
+    authorChannelId: 'UCfanfanfanfanfanfanfan01',
+    text: `コメント ${id}`,
+    likeCount: 0,
+    publishedAt,
+    updatedAt: publishedAt,
+    totalReplyCount: replies.length,
+    replies
+  };
+}
+
+/**
+ * 指定したエンドポイントへのリクエストのクエリパラメータ一覧
+ *
+ * @param {URL[]} requests
+ * @param {string} endpoint
+ * @param {string} name
+ * @returns {(string|null)[]}
+ */
+function requestParams(requests, endpoint, name) {
+  return requests
+    .filter(url => url.pathname === `/${endpoint}`)
+    .map(url => url.searchParams.get(name));
+}
+
+describe('fetch_comments.js', () => {
+  let outputDir;
+  let server;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-comments-'));
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('初回はすべてのページのスレッドと返信を取得する', async () => {
+    server = await startMockYouTubeServer(loadFixture('comments'));
+    await runFetchComments(server.baseUrl, outputDir);
+
+    const archive = readArchive(outputDir, 'cmtVidA01');
+
+    assert.equal(archive.channelKey, 'channelA');
+    assert.deepEqual(
+      archive.threads.map(thread => thread.id),
+      ['thread05', 'thread04', 'thread03', 'thread02', 'thread01']
+    );
+    assert.deepEqual(requestParams(server.requests, 'commentThreads', 'pageToken').slice(0, 2), [null, 'page2']);
+
+    // commentThreads に含まれない返信は comments.list のすべてのページから取得する
+    const thread03 = archive.threads.find(thread => thread.id === 'thread03');
+    assert.equal(thread03.totalReplyCount, 7);
+    assert.deepEqual(
+      thread03.replies.map(reply => reply.id),
+      ['thread03.r1', 'thread03.r2', 'thread03.r3', 'thread03.r4', 'thread03.r5', 'thread03.r6', 'thread03.r7']
+    );
+    assert.deepEqual(requestParams(server.requests, 'comments', 'pageToken'), [null, 'page2']);
+  });
+
+  it('フリーチャット・除外指定・取得禁止の動画は取得せず、コメント無効の動画はスキップする', async () => {
+    server = await startMockYouTubeServer(loadFixture('comments'));
+    const { stderr } = await runFetchComments(server.baseUrl, outputDir);
+
+    const requestedIds = requestParams(server.requests, 'commentThreads', 'videoId');
+    assert.deepEqual([...new Set(requestedIds)], ['cmtVidA01', 'cmtVidA02']);
+    // DISSALLOW_FETCH_COMMENTS_VIDEOS の動画
+    assert.ok(!requestedIds.includes('DsoTR5lOjSc'));
+    assert.ok(!fs.existsSync(archivePath(outputDir, 'DsoTR5lOjSc')));
+    assert.match(stderr, /cmtVidA02: コメントを取得できません \(commentsDisabled\)/);
+    assert.ok(!fs.existsSync(archivePath(outputDir, 'cmtVidA02')));
+  });
+
+  it('アップロード動画の取得に失敗したチャンネルがあっても他のチャンネルは取得を続ける', async () => {
+    const fixture = loadFixture('comments');
+    fixture.playlistItems = {
+      UUrxtv0Zc8uQNfsY0HsAGY8g: apiError(404, 'playlistNotFound'),
+      UUFernrRmaCRoOjZ55pwNxpw: fixture.playlistItems.UUrxtv0Zc8uQNfsY0HsAGY8g
+    };
+
+    server = await startMockYouTubeServer(fixture);
+    const { stderr } = await runFetchComments(server.baseUrl, outputDir);
+
+    assert.equal(readArchive(outputDir, 'cmtVidA01').channelKey, 'channelB');
+    assert.match(stderr, /天硝路ろまん: アップロード動画の取得に失敗しました/);
+    assert.match(stderr, /取得失敗: channelA/);
+  });
+
+  it('アーカイブ済みのスレッドに到達したら以降のページを取得しない', async () => {
+    fs.mkdirSync(path.join(outputDir, 'comments'));
+    fs.writeFileSync(archivePath(outputDir, 'cmtVidA01'), JSON.stringify({
+      videoId: 'cmtVidA01',
+      channelKey: 'channelA',
+      updatedAt: '2026-10-04T12:00:00.000Z',
+      threads: [
+        archivedThread('thread04', '2026-10-04T10:00:00Z'),
+        archivedThread('thread03', '2026-10-03T10:00:00Z'),
+        archivedThread('thread02', '2026-10-02T10:00:00Z'),
+        archivedThread('thread01', '2026-10-01T10:00:00Z')
+      ]
+    }));
+
+    server = await startMockYouTubeServer(loadFixture('comments'));
+    const { stdout } = await runFetchComments(server.baseUrl, outputDir);
+
+    assert.deepEqual(requestParams(server.requests, 'commentThreads', 'pageToken'), [null, null]);
+    assert.deepEqual(requestParams(server.requests, 'comments', 'parentId'), []);
+
+    // 新しいスレッドの追加と、返信が増えたアーカイブ済みスレッドの更新のみ行う
+    const archive = readArchive(outputDir, 'cmtVidA01');
+    assert.deepEqual(
+      archive.threads.map(thread => thread.id),
+      ['thread05', 'thread04', 'thread03', 'thread02', 'thread01']
+    );
+    assert.deepEqual(archive.threads[1].replies.map(reply => reply.id), ['thread04.r1']);
+    assert.equal(archive.threads[2].totalReplyCount, 0);
+    assert.match(stdout, /cmtVidA01: 2 件のスレッドを更新しました/);
+  });
+
+  it('新着がない場合はアーカイブを書き換えない', async () => {
+    server = await startMockYouTubeServer(loadFixture('comments'));
+    await runFetchComments(server.baseUrl, outputDir);
+    const before = fs.readFileSync(archivePath(outputDir, 'cmtVidA01'), 'utf-8');
+    server.requests.length = 0;
+
+    const { stdout } = await runFetchComments(server.baseUrl, outputDir);
+
+    assert.equal(fs.readFileSync(archivePath(outputDir, 'cmtVidA01'), 'utf-8'), before);
+    assert.doesNotMatch(stdout, /cmtVidA01/);
+    assert.deepEqual(requestParams(server.requests, 'commentThreads', 'pageToken'), [null, null]);
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import { apiError, loadFixture, startMockYouTubeServer } from './helpers/mock_youtube_server.js';
+
+const SCRIPT = new URL('../scripts/fetch_videos.js', import.meta.url).pathname;
+
+/**
+ * モックサーバーに向けて fetch_videos.js を実行する
+ *
+ * @param {string} baseUrl - モックサーバーのURL
+ * @param {string} outputDir - 出力先ディレクトリ
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runFetchVideos(baseUrl, outputDir) {
+  return promisify(execFile)('node', [SCRIPT], {
+    env: {
+      ...process.env,
+      YOUTUBE_API_KEY: 'test-key',
+      YOUTUBE_API_BASE_URL: baseUrl,
+      YOUTUBE_OUTPUT_DIR: outputDir
+    },
+    timeout: 30000
+  });
+}
+
+/**
+ * 出力されたアーカイブを読み込む
+ *
+ * @param {string} outputDir
+ * @param {string} channelKey
+ * @returns {Object}
+ */
+function readArchive(outputDir, channelKey) {
+  return JSON.parse(fs.readFileSync(path.join(outputDir, 'videos', `${channelKey}.json`), 'utf-8'));
+}
+
+/**
+ * videos.list で要求した動画ID一覧
+ *
+ * @param {URL[]} requests
+ * @returns {string[]}
+ */
+function requestedVideoIds(requests) {
+  return requests
+    .filter(url => url.pathname === '/videos')
+    .flatMap(url => url.searchParams.get('id').split(','));
+}
+
+describe('fetch_videos.js', () => {
+  let outputDir;
+  let server;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-videos-'));
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('再生時間と #shorts から動画の種別を判定する', async () => {
+    server = await startMockYouTubeServer(loadFixture('videos'));
+    await runFetchVideos(server.baseUrl, outputDir);
+
+    const archive = readArchive(outputDir, 'channelA');
+
+    assert.deepEqual(
+      archive.videos.map(entry => [entry.videoId, entry.type]),
+      [
+        ['upcomingA01', 'stream'],
+        ['shortVidA01', 'short'],
+        ['tagShortA01', 'short'],
+        ['tagShortA02', 'short'],
+        ['clipVidA01', 'video'],
+        ['normalVidA1', 'video'],
+        ['endedStrA01', 'stream'],
+        ['premiereA01', 'premiere']
+      ]
+    );
+
+    // 判定は API のレスポンスのみで行う
+    assert.ok(server.requests.every(url => ['/playlistItems', '/videos'].includes(url.pathname)));
+  });
+
+  it('excludeVideoIds の動画は取得・記録しない', async () => {
+    server = await startMockYouTubeServer(loadFixture('videos'));
+    await runFetchVideos(server.baseUrl, outputDir);
+
+    assert.ok(!requestedVideoIds(server.requests).includes('kX5GOU7-uSE'));
+    assert.ok(!readArchive(outputDir, 'channelA').videos.some(entry => entry.videoId === 'kX5GOU7-uSE'));
+  });
+
+  it('後から除外指定された動画をアーカイブから取り除く', async () => {
+    fs.mkdirSync(path.join(outputDir, 'videos'));
+    fs.writeFileSync(path.join(outputDir, 'videos', 'channelA.json'), JSON.stringify({
+      channelKey: 'channelA',
+      channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g',
+      channelName: '天硝路ろまん',
+      updatedAt: '2026-10-01T00:00:00.000Z',
+      videos: [
+        { videoId: 'upcomingA01', title: '【雑談】予定枠', type: 'stream', publishedAt: '2026-10-18T12:00:00Z', actualEndTime: '2026-10-20T14:00:00Z' },
+        { videoId: 'kX5GOU7-uSE', title: '除外指定の動画', type: 'short', publishedAt: '2026-10-14T10:00:00Z' }
+      ]
+    }));
+
+    server = await startMockYouTubeServer(loadFixture('videos'));
+    const { stdout } = await runFetchVideos(server.baseUrl, outputDir);
+
+    assert.deepEqual(readArchive(outputDir, 'channelA').videos.map(entry => entry.videoId), ['upcomingA01']);
+    assert.match(stdout, /天硝路ろまん: 0 件追加 \/ 1 件更新/);
+  });
+
+  it('取得に失敗したチャンネルがあっても他のチャンネルのアーカイブは更新する', async () => {
+    const fixture = loadFixture('videos');
+    fixture.playlistItems = {
+      UUrxtv0Zc8uQNfsY0HsAGY8g: apiError(404, 'playlistNotFound'),
+      UUFernrRmaCRoOjZ55pwNxpw: fixture.playlistItems.UUrxtv0Zc8uQNfsY0HsAGY8g
+    };
+
+    server = await startMockYouTubeServer(fixture);
+    const { stderr } = await runFetchVideos(server.baseUrl, outputDir);
+
+    assert.ok(!fs.existsSync(path.join(outputDir, 'videos', 'channelA.json')));
+    assert.equal(readArchive(outputDir, 'channelB').videos.length, 8);
+    assert.match(stderr, /天硝路ろまん: 動画アーカイブの更新に失敗しました/);
+    assert.match(stderr, /取得失敗: channelA/);
+  });
+
+  it('2回目以降は新着と未終了の配信のみ取得する', async () => {
+    server = await startMockYouTubeServer(loadFixture('videos'));
+    await runFetchVideos(server.baseUrl, outputDir);
+    server.requests.length = 0;
+
+    const { stdout } = await runFetchVideos(server.baseUrl, outputDir);
+
+    assert.deepEqual(requestedVideoIds(server.requests), ['upcomingA01']);
+    assert.match(stdout, /天硝路ろまん: 0 件追加 \/ 1 件更新/);
+    assert.equal(readArchive(outputDir, 'channelA').videos.length, 8);
+  });
+});
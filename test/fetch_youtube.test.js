@@ -0,0 +1,486 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import { apiError, loadFixture, startMockYouTubeServer } from './helpers/mock_youtube_server.js';
+import { startWebhookReceiver } from './helpers/webhook_receiver.js';
+
+const SCRIPT = new URL('../scripts/fetch_youtube.js', import.meta.url).pathname;
+
+/**
+ * モックサーバーに向けて fetch_youtube.js を実行する
+ *
+ * @param {string} baseUrl - モックサーバーのURL
+ * @param {string} outputDir - 出力先ディレクトリ
+ * @param {Object<string, string>} [extraEnv] - 追加の環境変数
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+function runFetchYouTube(baseUrl, outputDir, extraEnv = {}) {
+  return promisify(execFile)('node', [SCRIPT], {
+    env: {
+      ...process.env,
+      YOUTUBE_API_KEY: 'test-key',
+      YOUTUBE_API_BASE_URL: baseUrl,
+      YOUTUBE_OUTPUT_DIR: outputDir,
+      YOUTUBE_ICS_OUTPUT_DIR: path.join(outputDir, 'ics'),
+      YOUTUBE_FEED_OUTPUT_DIR: path.join(outputDir, 'feed'),
+      ...extraEnv
+    },
+    timeout: 30000
+  });
+}
+
+/**
+ * 出力された JSON を読み込む
+ *
+ * @param {string} outputDir
+ * @param {string} name
+ * @returns {Object}
+ */
+function readOutput(outputDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(outputDir, name), 'utf-8'));
+}
+
+describe('fetch_youtube.js', () => {
+  let outputDir;
+  let server;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-youtube-'));
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('配信中・配信予定のみを live_cache.json に書き出す', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+
+    // Shorts・通常動画・フリーチャット・除外指定・保持期間を過ぎた終了済みは含まれない
+    assert.deepEqual(
+      liveCache.channels.channelA.map(entry => [entry.videoId, entry.status]),
+      [['liveStrmA01', 'live'], ['iNUUsNL6OfE', 'upcoming']]
+    );
+    assert.deepEqual(
+      liveCache.channels.channelC.map(entry => [entry.videoId, entry.status]),
+      [['upcomingC01', 'upcoming']]
+    );
+    assert.deepEqual(liveCache.channels.channelD, []);
+    assert.deepEqual(Object.keys(liveCache.channels), ['channelA', 'channelB', 'channelC', 'channelD']);
+  });
+
+  it('タイトル・概要欄のメンションからコラボ配信の参加者を記録する', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+
+    assert.deepEqual(liveCache.channels.channelC[0].participants, ['channelC', 'channelA']);
+    assert.deepEqual(liveCache.channels.channelA[0].participants, ['channelA']);
+  });
+
+  it('関連チャンネルの配信はメンバーが参加するもののみ secondary に書き出す', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+
+    assert.equal(liveCache.secondary.official.channelName, 'StellArt. 公式');
+    assert.equal(liveCache.secondary.official.role, 'official');
+    assert.deepEqual(
+      liveCache.secondary.official.videos.map(entry => [entry.videoId, entry.participants]),
+      [['officialC01', ['channelA', 'channelB']]]
+    );
+    assert.equal(liveCache.channelStatus.official.error, null);
+
+    // コラボ相手のユニット
+    assert.equal(liveCache.secondary.rionection.role, 'partner');
+    assert.deepEqual(
+      liveCache.secondary.rionection.videos.map(entry => [entry.videoId, entry.participants]),
+      [['partnerR001', ['channelB']]]
+    );
+    assert.deepEqual(liveCache.secondary.nextopia.videos, []);
+
+    // ハンドルからチャンネルIDを求める
+    const channelRequests = server.requests.filter(url => url.pathname === '/channels');
+    assert.deepEqual(
+      channelRequests.map(url => url.searchParams.get('forHandle')),
+      ['@StellArtOfficial', '@RIONECTION', '@nextopia']
+    );
+  });
+
+  it('freechat.json はチャンネル定義のフリーチャットを書き出す', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const freechat = readOutput(outputDir, 'freechat.json');
+
+    const { schedule, ...channelA } = freechat.channelA;
+    assert.deepEqual(channelA, {
+      videoId: 'k0g-C_oCYb0',
+      channelName: '天硝路ろまん',
+      thumbnail: 'https://i.ytimg.com/vi/k0g-C_oCYb0/maxresdefault.jpg'
+    });
+    assert.ok(Array.isArray(schedule));
+  });
+
+  it('フリーチャットの概要欄・固定コメントから配信スケジュールを読み取る', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const freechat = readOutput(outputDir, 'freechat.json');
+
+    // 年は実行日時から補うため月日のみ確認する（ファンのコメントは読み取らない）
+    assert.deepEqual(
+      freechat.channelA.schedule.map(entry => [entry.date.slice(5), entry.time, entry.title]),
+      [['08-24', '21:00', '雑談'], ['08-25', null, 'おやすみ'], ['08-26', '22:30', '歌枠']]
+    );
+    assert.deepEqual(freechat.channelB.schedule, []);
+  });
+
+  it('新しいフリーチャットらしい配信予定枠を freechat_candidates.json に記録する', async () => {
+    const fixture = loadFixture('channels');
+    fixture.playlistItems.UUKB9sNaOhnkx4jtsYeWEd4g.items = [
+      { kind: 'youtube#playlistItem', contentDetails: { videoId: 'freechatD02' } }
+    ];
+    fixture.videos.freechatD02 = {
+      kind: 'youtube#video',
+      id: 'freechatD02',
+      snippet: { title: '【フリーチャット】新しいお部屋', description: '' },
+      liveStreamingDetails: { scheduledStartTime: '2099-01-01T00:00:00Z' }
+    };
+
+    server = await startMockYouTubeServer(fixture);
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const report = readOutput(outputDir, 'freechat_candidates.json');
+    assert.equal(report.autoSwitch, false);
+    assert.deepEqual(report.overrides, {});
+    assert.deepEqual(
+      report.candidates.map(candidate => [candidate.channelKey, candidate.videoId, candidate.reasons]),
+      [['channelD', 'freechatD02', ['title', 'farFuture']]]
+    );
+    assert.equal(report.candidates[0].currentFreechatVideoId, 'NO3p81om8Es');
+
+    // 差し替えを有効にしていない場合は配信予定のまま・freechat.json も変えない
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+    assert.deepEqual(liveCache.channels.channelD.map(entry => entry.videoId), ['freechatD02']);
+    assert.equal(readOutput(outputDir, 'freechat.json').channelD.videoId, 'NO3p81om8Es');
+  });
+
+  it('フリーチャットの詳細が取得できなければ前回のスケジュールを引き継ぐ', async () => {
+    const previousSchedule = [{ date: '2026-08-24', time: '21:00', startTime: '2026-08-24T12:00:00.000Z', title: '雑談' }];
+    fs.writeFileSync(path.join(outputDir, 'freechat.json'), JSON.stringify({
+      channelA: { videoId: 'k0g-C_oCYb0', schedule: previousSchedule }
+    }));
+
+    server = await startMockYouTubeServer({
+      ...loadFixture('channels'),
+      videosErrors: [apiError(403, 'quotaExceeded')]
+    });
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const freechat = readOutput(outputDir, 'freechat.json');
+    assert.deepEqual(freechat.channelA.schedule, previousSchedule);
+  });
+
+  it('チャンネルごと・全体の .ics を書き出す', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const icsDir = path.join(outputDir, 'ics');
+    assert.deepEqual(
+      fs.readdirSync(icsDir).sort(),
+      ['all.ics', 'channelA.ics', 'channelB.ics', 'channelC.ics', 'channelD.ics']
+    );
+
+    const all = fs.readFileSync(path.join(icsDir, 'all.ics'), 'utf-8');
+    assert.match(all, /UID:iNUUsNL6OfE@stellartfan\.com/);
+    assert.match(all, /UID:upcomingC01@stellartfan\.com/);
+
+    const channelC = fs.readFileSync(path.join(icsDir, 'channelC.ics'), 'utf-8');
+    assert.doesNotMatch(channelC, /iNUUsNL6OfE/);
+
+    const icsState = readOutput(outputDir, 'ics_state.json');
+    assert.equal(icsState.events.iNUUsNL6OfE.sequence, 0);
+  });
+
+  it('新着配信を Atom フィードに書き出し、再実行しても重複させない', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const feedState = readOutput(outputDir, 'feed_state.json');
+    assert.deepEqual(
+      feedState.items.map(item => item.videoId).sort(),
+      ['iNUUsNL6OfE', 'liveStrmA01', 'upcomingC01']
+    );
+    assert.deepEqual(Object.keys(feedState.seenIds).sort(), ['iNUUsNL6OfE', 'liveStrmA01', 'upcomingC01']);
+
+    const atom = fs.readFileSync(path.join(outputDir, 'feed', 'atom.xml'), 'utf-8');
+    assert.equal(atom.match(/<entry>/g).length, 3);
+  });
+
+  it('配信開始・新しい配信予定枠を Webhook に1度だけ通知する', async () => {
+    fs.writeFileSync(path.join(outputDir, 'live_cache.json'), JSON.stringify({
+      updatedAt: '2026-08-22T12:30:00Z',
+      channels: {
+        channelA: [{
+          videoId: 'liveStrmA01',
+          title: '配信予定',
+          status: 'upcoming',
+          scheduledStartTime: '2026-08-22T12:00:00Z',
+          actualStartTime: null,
+          actualEndTime: null
+        }]
+      }
+    }));
+
+    const receiver = await startWebhookReceiver();
+    try {
+      server = await startMockYouTubeServer(loadFixture('channels'));
+      const env = { DISCORD_WEBHOOK_URL: `${receiver.url}/discord` };
+      await runFetchYouTube(server.baseUrl, outputDir, env);
+
+      // 2回目は前回のキャッシュと比べても変化がなく、送信済みでもあるため通知しない
+      await runFetchYouTube(server.baseUrl, outputDir, env);
+
+      assert.deepEqual(
+        receiver.requests.map(request => request.body.content),
+        ['【配信開始】天硝路ろまん', '【新しい配信予定】天硝路ろまん', '【新しい配信予定】にうふぁ']
+      );
+
+      const webhookState = readOutput(outputDir, 'webhook_state.json');
+      assert.deepEqual(Object.keys(webhookState.sent).sort(), [
+        'discord:live:liveStrmA01',
+        'discord:upcoming:iNUUsNL6OfE',
+        'discord:upcoming:upcomingC01'
+      ]);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('Webhook への送信に失敗した通知は次回の実行で再送する', async () => {
+    fs.writeFileSync(path.join(outputDir, 'live_cache.json'), JSON.stringify({
+      updatedAt: '2026-08-22T12:30:00Z',
+      channels: {
+        channelA: [{
+          videoId: 'liveStrmA01',
+          title: '配信予定',
+          status: 'upcoming',
+          scheduledStartTime: '2026-08-22T12:00:00Z',
+          actualStartTime: null,
+          actualEndTime: null
+        }]
+      }
+    }));
+
+    // 1回目の最初の送信（配信開始）のみ失敗させる
+    const receiver = await startWebhookReceiver([500]);
+    try {
+      server = await startMockYouTubeServer(loadFixture('channels'));
+      const env = { DISCORD_WEBHOOK_URL: `${receiver.url}/discord` };
+      await runFetchYouTube(server.baseUrl, outputDir, env);
+
+      const firstState = readOutput(outputDir, 'webhook_state.json');
+      assert.deepEqual(firstState.pending.map(event => event.id), ['live:liveStrmA01']);
+      assert.equal('discord:live:liveStrmA01' in firstState.sent, false);
+
+      await runFetchYouTube(server.baseUrl, outputDir, env);
+
+      assert.deepEqual(
+        receiver.requests.map(request => request.body.content),
+        [
+          '【配信開始】天硝路ろまん',
+          '【新しい配信予定】天硝路ろまん',
+          '【新しい配信予定】にうふぁ',
+          '【配信開始】天硝路ろまん'
+        ]
+      );
+
+      const secondState = readOutput(outputDir, 'webhook_state.json');
+      assert.deepEqual(secondState.pending, []);
+      assert.ok('discord:live:liveStrmA01' in secondState.sent);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('配信履歴を引き継ぎ、最大同時視聴者数とメンバー別の統計を書き出す', async () => {
+    const previousStreams = [{
+      videoId: 'endedOldA01',
+      channelKey: 'channelA',
+      title: '過去の配信',
+      actualStartTime: '2026-08-01T12:00:00Z',
+      actualEndTime: '2026-08-01T14:00:00Z',
+      peakConcurrentViewers: 400
+    }];
+    fs.writeFileSync(path.join(outputDir, 'stream_history.json'), JSON.stringify({
+      updatedAt: '2026-08-22T12:30:00Z',
+      streams: previousStreams
+    }));
+    fs.writeFileSync(path.join(outputDir, 'live_cache.json'), JSON.stringify({
+      updatedAt: '2026-08-22T12:30:00Z',
+      channels: {
+        channelA: [{ videoId: 'liveStrmA01', status: 'live', peakConcurrentViewers: 500 }]
+      }
+    }));
+
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+    assert.equal(liveCache.channels.channelA[0].peakConcurrentViewers, 500);
+
+    assert.deepEqual(readOutput(outputDir, 'stream_history.json').streams, previousStreams);
+
+    const streamStats = readOutput(outputDir, 'stream_stats.json');
+    assert.equal(streamStats.streamCount, 1);
+    assert.deepEqual(Object.keys(streamStats.members), ['channelA', 'channelB', 'channelC', 'channelD']);
+    assert.equal(streamStats.members.channelA.streamCount, 1);
+    assert.equal(streamStats.members.channelA.totalHours, 2);
+    assert.equal(streamStats.members.channelA.averageStartTime, '21:00');
+    assert.equal(streamStats.members.channelB.streamCount, 0);
+  });
+
+  it('保持期間外で終了した配信も、前回のキャッシュから終了に変わった時点で配信履歴に記録する', async () => {
+    fs.writeFileSync(path.join(outputDir, 'live_cache.json'), JSON.stringify({
+      updatedAt: '2026-08-01T13:30:00Z',
+      channels: {
+        channelA: [{ videoId: 'endedOldA01', status: 'live', peakConcurrentViewers: 700 }]
+      }
+    }));
+
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+    assert.ok(!liveCache.channels.channelA.some(entry => entry.videoId === 'endedOldA01'));
+
+    assert.deepEqual(readOutput(outputDir, 'stream_history.json').streams, [{
+      videoId: 'endedOldA01',
+      channelKey: 'channelA',
+      title: '【ゲーム】終了した配信',
+      actualStartTime: '2026-08-01T12:00:00Z',
+      actualEndTime: '2026-08-01T14:00:00Z',
+      peakConcurrentViewers: 700
+    }]);
+  });
+
+  it('search.list を使わず playlistItems.list + videos.list で取得し、クォータ使用量を出力する', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    const { stdout } = await runFetchYouTube(server.baseUrl, outputDir);
+
+    const endpoints = server.requests.map(url => url.pathname);
+    assert.equal(endpoints.filter(endpoint => endpoint === '/search').length, 0);
+    assert.equal(endpoints.filter(endpoint => endpoint === '/playlistItems').length, 7);
+    assert.equal(endpoints.filter(endpoint => endpoint === '/channels').length, 3);
+    assert.equal(endpoints.filter(endpoint => endpoint === '/videos').length, 1);
+    assert.equal(endpoints.filter(endpoint => endpoint === '/commentThreads').length, 4);
+
+    assert.match(
+      stdout,
+      /API クォータ使用量: 15 units \(playlistItems: 7, channels: 3, videos: 1, commentThreads: 4\)/
+    );
+  });
+
+  it('handle で指定した関連チャンネルのチャンネルIDは初回のみ求め、以降は記録したIDを使う', async () => {
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+    assert.equal(liveCache.secondary.rionection.handle, '@RIONECTION');
+    assert.equal(liveCache.secondary.rionection.channelId, 'UCrionectionPartnerTest1');
+
+    server.requests.length = 0;
+    const { stdout } = await runFetchYouTube(server.baseUrl, outputDir);
+
+    assert.equal(server.requests.filter(url => url.pathname === '/channels').length, 0);
+    assert.ok(server.requests.some(url => url.searchParams.get('playlistId') === 'UUrionectionPartnerTest1'));
+    assert.equal(readOutput(outputDir, 'live_cache.json').secondary.rionection.channelId, 'UCrionectionPartnerTest1');
+    assert.doesNotMatch(stdout, /のチャンネルIDは/);
+  });
+
+  it('quotaExceeded のチャンネルは前回のキャッシュを引き継ぎ、エラーを記録する', async () => {
+    fs.writeFileSync(path.join(outputDir, 'live_cache.json'), JSON.stringify({
+      updatedAt: '2026-08-22T12:30:00Z',
+      channels: {
+        channelB: [{
+          videoId: 'upcomingB01',
+          title: '前回取得した配信予定',
+          status: 'upcoming',
+          scheduledStartTime: '2026-08-23T12:00:00Z',
+          actualStartTime: null,
+          actualEndTime: null
+        }]
+      },
+      channelStatus: {
+        channelB: { lastSuccessAt: '2026-08-22T12:30:00Z', error: null }
+      }
+    }));
+
+    server = await startMockYouTubeServer(loadFixture('channels'));
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+
+    assert.deepEqual(liveCache.channels.channelB.map(entry => entry.videoId), ['upcomingB01']);
+    assert.equal(liveCache.channelStatus.channelB.lastSuccessAt, '2026-08-22T12:30:00Z');
+    assert.equal(liveCache.channelStatus.channelB.error.reason, 'quotaExceeded');
+    assert.equal(liveCache.channelStatus.channelB.error.status, 403);
+
+    // 取得に失敗したチャンネルの配信予定は中止とみなさない
+    const scheduleChanges = readOutput(outputDir, 'schedule_changes.json');
+    assert.equal(scheduleChanges.changes.some(change => change.type === 'cancelled'), false);
+
+    // 他のチャンネルは通常どおり更新される
+    assert.equal(liveCache.channelStatus.channelA.error, null);
+    assert.equal(liveCache.channelStatus.channelA.lastSuccessAt, liveCache.updatedAt);
+
+    // quotaExceeded は再試行しない
+    const playlistRequests = server.requests
+      .filter(url => url.searchParams.get('playlistId') === 'UUFernrRmaCRoOjZ55pwNxpw');
+    assert.equal(playlistRequests.length, 1);
+  });
+
+  it('通信エラーのメッセージに含まれる API キーを出力・記録しない', async () => {
+    // 接続できないポートに向けて実行する
+    const { stdout, stderr } = await runFetchYouTube('http://127.0.0.1:9/youtube/v3', outputDir, {
+      YOUTUBE_API_KEY: 'SECRET_KEY_123',
+      YOUTUBE_RETRY_BASE_DELAY_MS: '0'
+    });
+
+    const liveCacheText = fs.readFileSync(path.join(outputDir, 'live_cache.json'), 'utf-8');
+    const liveCache = JSON.parse(liveCacheText);
+
+    assert.equal(liveCache.channelStatus.channelA.error.reason, 'networkError');
+    assert.equal(liveCache.channelStatus.channelA.error.status, null);
+    assert.equal('message' in liveCache.channelStatus.channelA.error, false);
+    assert.equal(liveCacheText.includes('SECRET_KEY_123'), false);
+    assert.equal(stdout.includes('SECRET_KEY_123'), false);
+    assert.equal(stderr.includes('SECRET_KEY_123'), false);
+    assert.match(stderr, /通信エラー: request to http:\/\/127\.0\.0\.1:9\/youtube\/v3\/playlistItems failed/);
+  });
+
+  it('videos.list の一時的なエラーは再試行する', async () => {
+    server = await startMockYouTubeServer({
+      ...loadFixture('channels'),
+      videosErrors: [apiError(503, 'backendError')]
+    });
+    await runFetchYouTube(server.baseUrl, outputDir);
+
+    const liveCache = readOutput(outputDir, 'live_cache.json');
+
+    assert.equal(server.requests.filter(url => url.pathname === '/videos').length, 2);
+    assert.equal(liveCache.channels.channelA.length, 2);
+    assert.equal(liveCache.channelStatus.channelA.error, null);
+  });
+});
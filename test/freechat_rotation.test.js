@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  addFreechatOverrides,
+  applyFreechatOverrides,
+  carryOverFreechatOverrides,
+  detectFreechatCandidates,
+  getFreechatReasons,
+  omitVideos,
+  selectFreechatOverrides
+} from '../scripts/lib/freechat_rotation.js';
+
+const NOW = new Date('2026-10-19T03:00:00Z');
+const FAR_FUTURE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const CHANNELS = {
+  channelA: { channelName: '天硝路ろまん', freechatVideoId: 'k0g-C_oCYb0' },
+  channelB: { channelName: '華鉈イオ', freechatVideoId: 'foFBBmkRyf0' }
+};
+
+/**
+ * 配信予定のエントリを生成する
+ */
+function upcoming(videoId, title, scheduledStartTime) {
+  return { videoId, title, status: 'upcoming', scheduledStartTime };
+}
+
+describe('getFreechatReasons', () => {
+  it('タイトルにフリーチャットの語を含む枠は title', () => {
+    const entry = upcoming('freechatA2', '【ＦＲＥＥ ＣＨＡＴ】ろまん研究室', '2026-10-20T12:00:00Z');
+    assert.deepEqual(getFreechatReasons(entry, NOW, FAR_FUTURE_MS), ['title']);
+  });
+
+  it('開始予定時刻が十分先の枠は farFuture', () => {
+    const entry = upcoming('farFutureA', '待機所', '2030-01-01T00:00:00Z');
+    assert.deepEqual(getFreechatReasons(entry, NOW, FAR_FUTURE_MS), ['farFuture']);
+  });
+
+  it('通常の配信予定・配信中の枠は該当しない', () => {
+    assert.deepEqual(getFreechatReasons(upcoming('normalA001', '雑談', '2026-10-20T12:00:00Z'), NOW, FAR_FUTURE_MS), []);
+    assert.deepEqual(
+      getFreechatReasons({ videoId: 'liveA00001', title: 'フリーチャット', status: 'live' }, NOW, FAR_FUTURE_MS),
+      []
+    );
+  });
+});
+
+describe('detectFreechatCandidates', () => {
+  it('候補を検出し、前回の候補の最初の検出日時を引き継ぐ', () => {
+    const liveCache = {
+      channels: {
+        channelA: [
+          upcoming('freechatA2', 'フリーチャット', '2030-01-01T00:00:00Z'),
+          upcoming('normalA001', '雑談', '2026-10-20T12:00:00Z')
+        ],
+        channelB: [upcoming('freechatB2', 'フリチャ', '2026-10-20T12:00:00Z')]
+      }
+    };
+    const previousCandidates = [{ videoId: 'freechatA2', firstDetectedAt: '2026-10-18T00:00:00.000Z' }];
+
+    const candidates = detectFreechatCandidates({
+      liveCache,
+      channels: CHANNELS,
+      previousCandidates,
+      now: NOW,
+      farFutureMs: FAR_FUTURE_MS
+    });
+
+    assert.deepEqual(candidates, [
+      {
+        channelKey: 'channelA',
+        videoId: 'freechatA2',
+        title: 'フリーチャット',
+        scheduledStartTime: '2030-01-01T00:00:00Z',
+        reasons: ['title', 'farFuture'],
+        currentFreechatVideoId: 'k0g-C_oCYb0',
+        firstDetectedAt: '2026-10-18T00:00:00.000Z'
+      },
+      {
+        channelKey: 'channelB',
+        videoId: 'freechatB2',
+        title: 'フリチャ',
+        scheduledStartTime: '2026-10-20T12:00:00Z',
+        reasons: ['title'],
+        currentFreechatVideoId: 'foFBBmkRyf0',
+        firstDetectedAt: NOW.toISOString()
+      }
+    ]);
+  });
+});
+
+describe('selectFreechatOverrides', () => {
+  it('チャンネルごとにタイトルで判定した候補 → 開始予定時刻の遅い候補を選ぶ', () => {
+    const overrides = selectFreechatOverrides([
+      { channelKey: 'channelA', videoId: 'farFutureA', reasons: ['farFuture'], scheduledStartTime: '2035-01-01T00:00:00Z' },
+      { channelKey: 'channelA', videoId: 'titleOldA1', reasons: ['title'], scheduledStartTime: '2030-01-01T00:00:00Z' },
+      { channelKey: 'channelA', videoId: 'titleNewA1', reasons: ['title'], scheduledStartTime: '2031-01-01T00:00:00Z' },
+      { channelKey: 'channelB', videoId: 'farFutureB', reasons: ['farFuture'], scheduledStartTime: '2030-01-01T00:00:00Z' }
+    ]);
+
+    assert.deepEqual([...overrides], [['channelA', 'titleNewA1'], ['channelB', 'farFutureB']]);
+  });
+});
+
+describe('carryOverFreechatOverrides / addFreechatOverrides', () => {
+  const previousOverrides = {
+    channelA: { videoId: 'freechatA2', configuredVideoId: 'k0g-C_oCYb0', switchedAt: '2026-10-18T00:00:00.000Z' },
+    channelB: { videoId: 'freechatB2', configuredVideoId: 'oldFreechat', switchedAt: '2026-10-18T00:00:00.000Z' }
+  };
+
+  it('channels.js が更新されていない差し替えのみ引き継ぐ', () => {
+    assert.deepEqual(
+      carryOverFreechatOverrides(previousOverrides, CHANNELS),
+      { channelA: previousOverrides.channelA }
+    );
+  });
+
+  it('新しい差し替えを加え、同じ動画IDなら差し替え日時を変えない', () => {
+    const overrides = addFreechatOverrides(
+      { channelA: previousOverrides.channelA },
+      new Map([['channelA', 'freechatA2'], ['channelB', 'freechatB3']]),
+      CHANNELS,
+      NOW
+    );
+
+    assert.deepEqual(overrides, {
+      channelA: previousOverrides.channelA,
+      channelB: { videoId: 'freechatB3', configuredVideoId: 'foFBBmkRyf0', switchedAt: NOW.toISOString() }
+    });
+  });
+});
+
+describe('applyFreechatOverrides', () => {
+  it('差し替えたチャンネルの freechatVideoId のみ変える', () => {
+    const channels = applyFreechatOverrides(CHANNELS, { channelB: { videoId: 'freechatB3' } });
+
+    assert.equal(channels.channelA, CHANNELS.channelA);
+    assert.deepEqual(channels.channelB, { channelName: '華鉈イオ', freechatVideoId: 'freechatB3' });
+    assert.equal(CHANNELS.channelB.freechatVideoId, 'foFBBmkRyf0');
+  });
+});
+
+describe('omitVideos', () => {
+  it('指定した動画を全チャンネルから取り除く', () => {
+    const liveCache = {
+      updatedAt: NOW.toISOString(),
+      channels: {
+        channelA: [upcoming('freechatA2', 'フリーチャット', null), upcoming('normalA001', '雑談', null)]
+      }
+    };
+
+    const result = omitVideos(liveCache, new Set(['freechatA2']));
+    assert.deepEqual(result.channels.channelA.map(entry => entry.videoId), ['normalA001']);
+    assert.equal(result.updatedAt, liveCache.updatedAt);
+  });
+
+  it('前回のキャッシュがない場合はそのまま返す', () => {
+    assert.equal(omitVideos(null, new Set(['freechatA2'])), null);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  extractFreechatSchedule,
+  findPinnedText,
+  parseScheduleLine,
+  parseScheduleText
+} from '../scripts/lib/freechat_schedule.js';
+
+const NOW = new Date('2026-10-19T03:00:00Z');
+
+describe('parseScheduleLine', () => {
+  it('日付・曜日・時刻・内容を読み取る', () => {
+    assert.deepEqual(parseScheduleLine('10/20(月) 21:00〜 雑談', NOW), {
+      date: '2026-10-20',
+      time: '21:00',
+      startTime: '2026-10-20T12:00:00.000Z',
+      title: '雑談'
+    });
+  });
+
+  it('「月日」「時半」・全角の表記と行頭の記号を読み取る', () => {
+    assert.deepEqual(parseScheduleLine('・10月21日（火）22時半 歌枠', NOW), {
+      date: '2026-10-21',
+      time: '22:30',
+      startTime: '2026-10-21T13:30:00.000Z',
+      title: '歌枠'
+    });
+    assert.equal(parseScheduleLine('１０／２２（水）　２１：００　ゲーム', NOW).time, '21:00');
+  });
+
+  it('終了時刻・区切り文字を内容に含めない', () => {
+    assert.equal(parseScheduleLine('10/24(土) 21:00-23:00 | ゲーム', NOW).title, 'ゲーム');
+  });
+
+  it('25:00 などの深夜の時刻は翌日の開始時刻にする', () => {
+    const entry = parseScheduleLine('10/23(木) 25:00〜 深夜ラジオ', NOW);
+    assert.equal(entry.date, '2026-10-23');
+    assert.equal(entry.time, '25:00');
+    assert.equal(entry.startTime, '2026-10-23T16:00:00.000Z');
+  });
+
+  it('時刻のない行は time / startTime を null にする', () => {
+    assert.deepEqual(parseScheduleLine('10/22 おやすみ', NOW), {
+      date: '2026-10-22',
+      time: null,
+      startTime: null,
+      title: 'おやすみ'
+    });
+  });
+
+  it('年のない日付は基準日時に最も近い年にする', () => {
+    assert.equal(parseScheduleLine('1/2 21:00 新年会', NOW).date, '2027-01-02');
+    assert.equal(
+      parseScheduleLine('12/30 21:00 年末', new Date('2027-01-05T00:00:00Z')).date,
+      '2026-12-30'
+    );
+  });
+
+  it('日付で始まらない行・期間の見出し・存在しない日付は読み取らない', () => {
+    assert.equal(parseScheduleLine('今週の配信予定', NOW), null);
+    assert.equal(parseScheduleLine('10/20〜10/26 の予定', NOW), null);
+    assert.equal(parseScheduleLine('13/40 21:00', NOW), null);
+  });
+});
+
+describe('parseScheduleText', () => {
+  it('日付のある行のみを書かれた順に読み取る', () => {
+    const text = '【今週の配信予定】\n10/21 22:00 歌枠\r\n\n10/20 21:00 雑談\nよろしくね';
+    assert.deepEqual(
+      parseScheduleText(text, NOW).map(entry => entry.title),
+      ['歌枠', '雑談']
+    );
+  });
+});
+
+describe('extractFreechatSchedule', () => {
+  it('概要欄・固定コメントの重複をまとめ、日付・時刻順に並べる', () => {
+    const description = '10/21 21:00 歌枠\n10/20 おやすみ';
+    const pinnedText = '10/21 21:00 歌枠\n10/20 12:00 お昼雑談';
+
+    assert.deepEqual(
+      extractFreechatSchedule([description, pinnedText], NOW).map(entry => [entry.date, entry.time, entry.title]),
+      [
+        ['2026-10-20', null, 'おやすみ'],
+        ['2026-10-20', '12:00', 'お昼雑談'],
+        ['2026-10-21', '21:00', '歌枠']
+      ]
+    );
+  });
+
+  it('固定コメントがない場合は概要欄のみから読み取る', () => {
+    assert.equal(extractFreechatSchedule(['10/20 21:00 雑談', null], NOW).length, 1);
+  });
+});
+
+describe('findPinnedText', () => {
+  const thread = (channelId, text) => ({
+    snippet: { topLevelComment: { snippet: { authorChannelId: { value: channelId }, textOriginal: text } } }
+  });
+
+  it('チャンネル主の最初のコメントを返す', () => {
+    const threads = [
+      thread('UCfanfanfanfanfanfanfan01', 'ファンのコメント'),
+      thread('UCrxtv0Zc8uQNfsY0HsAGY8g', '固定コメント'),
+      thread('UCrxtv0Zc8uQNfsY0HsAGY8g', '返信用のコメント')
+    ];
+    assert.equal(findPinnedText(threads, 'UCrxtv0Zc8uQNfsY0HsAGY8g'), '固定コメント');
+  });
+
+  it('チャンネル主のコメントがなければ null', () => {
+    assert.equal(findPinnedText([thread('UCfanfanfanfanfanfanfan01', 'x')], 'UCrxtv0Zc8uQNfsY0HsAGY8g'), null);
+  });
+});
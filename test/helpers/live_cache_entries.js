@@ -0,0 +1,52 @@
+/**
+ * live_cache.json のエントリ・キャッシュを生成するテスト用ヘルパー
+ */
+
+/**
+ * live_cache.json のエントリを生成する（既定は channelA の配信予定枠）
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function liveEntry(overrides = {}) {
+  const videoId = overrides.videoId ?? 'upcomingA01';
+  return {
+    videoId,
+    title: '雑談配信',
+    thumbnail: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    url: `https://www.youtube.com/watch?v=${videoId}`,
+    status: 'upcoming',
+    scheduledStartTime: '2026-08-23T12:00:00Z',
+    actualStartTime: null,
+    actualEndTime: null,
+    ...overrides
+  };
+}
+
+/**
+ * live_cache.json の終了した配信のエントリを生成する
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function endedEntry(overrides = {}) {
+  return liveEntry({
+    videoId: 'endedA01',
+    status: 'end',
+    scheduledStartTime: '2026-08-22T12:00:00Z',
+    actualStartTime: '2026-08-22T12:01:00Z',
+    actualEndTime: '2026-08-22T14:00:00Z',
+    peakConcurrentViewers: 321,
+    ...overrides
+  });
+}
+
+/**
+ * channelA のみの live_cache.json を生成する
+ *
+ * @param {Object[]} entries
+ * @returns {Object}
+ */
+export function cacheOf(entries) {
+  return { channels: { channelA: entries } };
+}
@@ -0,0 +1,157 @@
+/**
+ * YouTube Data API v3 のローカルモックサーバー
+ *
+ * 記録済みのレスポンス（test/fixtures/youtube/*.json）を返す
+ *
+ * フィクスチャの形式:
+ * {
+ *   "search":         { "<channelId>":  レスポンス },
+ *   "playlistItems":  { "<playlistId>": レスポンス },
+ *   "channels":       { "<handle>":     レスポンス },
+ *   "commentThreads": { "<videoId>":    レスポンス },
+ *   "comments":       { "<parentId>":   レスポンス },
+ *   "videos":         { "<videoId>":    video リソース },
+ *   "videosErrors":   [ 1回目, 2回目, ... の videos.list で返すエラー ]
+ * }
+ *
+ * レスポンスは API のレスポンス JSON か、{ "status": 403, "body": {...} } 形式のエラー
+ * 配列を指定した場合は呼び出しごとに先頭から順に返す（最後の要素は繰り返し返す）
+ * 2ページ目以降は "<キー>/<pageToken>" に指定する
+ */
+
+import fs from 'fs';
+import http from 'http';
+
+/**
+ * フィクスチャを読み込む
+ *
+ * @param {string} name - test/fixtures/youtube/ 以下のファイル名（拡張子なし）
+ * @returns {Object}
+ */
+export function loadFixture(name) {
+  const url = new URL(`../fixtures/youtube/${name}.json`, import.meta.url);
+  return JSON.parse(fs.readFileSync(url, 'utf-8'));
+}
+
+/**
+ * API のエラーレスポンスを生成する
+ *
+ * @param {number} status
+ * @param {string} reason - quotaExceeded など
+ * @param {string} message
+ * @returns {{ status: number, body: Object }}
+ */
+export function apiError(status, reason, message = reason) {
+  return {
+    status,
+    body: {
+      error: {
+        code: status,
+        message,
+        errors: [{ message, domain: 'youtube.quota', reason }]
+      }
+    }
+  };
+}
+
+/**
+ * 呼び出し回数に応じたレスポンスを取り出す
+ *
+ * @param {Object|Object[]} response
+ * @param {number} callCount - これまでの呼び出し回数
+ * @returns {{ status: number, body: Object }}
+ */
+function pickResponse(response, callCount) {
+  const picked = Array.isArray(response)
+    ? response[Math.min(callCount, response.length - 1)]
+    : response;
+
+  if (typeof picked.status === 'number' && picked.body) return picked;
+  return { status: 200, body: picked };
+}
+
+/**
+ * モックサーバーを起動する
+ *
+ * @param {Object} fixture
+ * @returns {Promise<{ baseUrl: string, requests: URL[], close: () => Promise<void> }>}
+ */
+export async function startMockYouTubeServer(fixture) {
+  const requests = [];
+  const callCounts = new Map();
+
+  /**
+   * キーごとのレスポンスを返す（未定義のキーは空の一覧）
+   */
+  function respondByKey(endpoint, key, pageToken) {
+    if (pageToken) key = `${key}/${pageToken}`;
+
+    const response = fixture[endpoint]?.[key];
+    if (!response) return { status: 200, body: { items: [] } };
+
+    const countKey = `${endpoint}:${key}`;
+    const callCount = callCounts.get(countKey) ?? 0;
+    callCounts.set(countKey, callCount + 1);
+
+    return pickResponse(response, callCount);
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.replace(/^\//, '');
+    requests.push(url);
+
+    let result;
+    switch (endpoint) {
+      case 'search':
+        result = respondByKey('search', url.searchParams.get('channelId'), url.searchParams.get('pageToken'));
+        break;
+
+      case 'playlistItems':
+        result = respondByKey('playlistItems', url.searchParams.get('playlistId'), url.searchParams.get('pageToken'));
+        break;
+
+      case 'channels':
+        result = respondByKey('channels', url.searchParams.get('forHandle'));
+        break;
+
+      case 'commentThreads':
+        result = respondByKey('commentThreads', url.searchParams.get('videoId'), url.searchParams.get('pageToken'));
+        break;
+
+      case 'comments':
+        result = respondByKey('comments', url.searchParams.get('parentId'), url.searchParams.get('pageToken'));
+        break;
+
+      case 'videos': {
+        const ids = url.searchParams.get('id').split(',');
+        const callCount = callCounts.get('videos') ?? 0;
+        callCounts.set('videos', callCount + 1);
+
+        result = fixture.videosErrors?.[callCount] ?? {
+          status: 200,
+          body: {
+            kind: 'youtube#videoListResponse',
+            items: ids.filter(id => fixture.videos?.[id]).map(id => fixture.videos[id])
+          }
+        };
+        break;
+      }
+
+      default:
+        result = apiError(404, 'notFound', `Unknown endpoint: ${endpoint}`);
+    }
+
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
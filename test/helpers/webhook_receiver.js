@@ -0,0 +1,39 @@
+/**
+ * Webhook 通知を受け取るローカルサーバー
+ *
+ * 受け取ったリクエストを記録し、指定したステータスを返す
+ */
+
+import http from 'http';
+
+/**
+ * 受信サーバーを起動する
+ *
+ * @param {number[]} [statuses] - 1回目, 2回目, ... に返すステータス（省略時・使い切った後は 204）
+ * @returns {Promise<{ url: string, requests: Array<{ path: string, body: Object }>, close: () => Promise<void> }>}
+ */
+export async function startWebhookReceiver(statuses = []) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const status = statuses[requests.length] ?? 204;
+      requests.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
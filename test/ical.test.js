@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildICalendar,
+  escapeText,
+  foldLine,
+  formatICalDate,
+  getEventPeriod,
+  updateCalendarEvents
+} from '../scripts/lib/ical.js';
+import { liveEntry } from './helpers/live_cache_entries.js';
+
+const NOW = new Date('2026-08-22T13:00:00Z');
+const DURATION_MS = 2 * 60 * 60 * 1000;
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const CHANNELS = {
+  channelA: { channelName: '天硝路ろまん' }
+};
+
+/**
+ * updateCalendarEvents を既定の引数で呼び出す
+ *
+ * @param {Object<string, Object>} previousEvents
+ * @param {Object[]} entries - channelA のエントリ
+ * @param {Date} now
+ * @returns {Object<string, Object>}
+ */
+function update(previousEvents, entries, now = NOW) {
+  return updateCalendarEvents({
+    previousEvents,
+    liveCache: { channels: { channelA: entries } },
+    channels: CHANNELS,
+    now,
+    estimatedDurationMs: DURATION_MS,
+    retentionMs: RETENTION_MS
+  });
+}
+
+describe('getEventPeriod', () => {
+  it('終了時刻が分からない場合は想定時間から求める', () => {
+    assert.deepEqual(getEventPeriod(liveEntry(), DURATION_MS), {
+      start: '2026-08-23T12:00:00.000Z',
+      end: '2026-08-23T14:00:00.000Z'
+    });
+  });
+
+  it('配信済みなら実際の開始・終了時刻を使う', () => {
+    const entry = liveEntry({
+      status: 'end',
+      actualStartTime: '2026-08-23T12:05:00Z',
+      actualEndTime: '2026-08-23T13:30:00Z'
+    });
+    assert.deepEqual(getEventPeriod(entry, DURATION_MS), {
+      start: '2026-08-23T12:05:00.000Z',
+      end: '2026-08-23T13:30:00.000Z'
+    });
+  });
+});
+
+describe('updateCalendarEvents', () => {
+  it('新しい配信予定は SEQUENCE 0 で追加する', () => {
+    const events = update({}, [liveEntry()]);
+
+    assert.deepEqual(events.upcomingA01, {
+      channelKey: 'channelA',
+      channelName: '天硝路ろまん',
+      title: '雑談配信',
+      url: 'https://www.youtube.com/watch?v=upcomingA01',
+      start: '2026-08-23T12:00:00.000Z',
+      end: '2026-08-23T14:00:00.000Z',
+      liveStatus: 'upcoming',
+      status: 'CONFIRMED',
+      sequence: 0,
+      updatedAt: NOW.toISOString()
+    });
+  });
+
+  it('変更がなければ SEQUENCE・更新日時を保つ', () => {
+    const first = update({}, [liveEntry()]);
+    const second = update(first, [liveEntry()], new Date('2026-08-22T13:30:00Z'));
+
+    assert.deepEqual(second, first);
+  });
+
+  it('開始時刻が変わったら SEQUENCE を上げる', () => {
+    const first = update({}, [liveEntry()]);
+    const later = new Date('2026-08-22T13:30:00Z');
+    const second = update(first, [liveEntry({ scheduledStartTime: '2026-08-23T13:00:00Z' })], later);
+
+    assert.equal(second.upcomingA01.sequence, 1);
+    assert.equal(second.upcomingA01.start, '2026-08-23T13:00:00.000Z');
+    assert.equal(second.upcomingA01.updatedAt, later.toISOString());
+  });
+
+  it('開始前の配信予定が消えたら中止にする', () => {
+    const first = update({}, [liveEntry()]);
+    const second = update(first, [], new Date('2026-08-22T13:30:00Z'));
+
+    assert.equal(second.upcomingA01.status, 'CANCELLED');
+    assert.equal(second.upcomingA01.sequence, 1);
+
+    // 中止済みのイベントはそのまま残る
+    const third = update(second, [], new Date('2026-08-22T14:00:00Z'));
+    assert.deepEqual(third, second);
+  });
+
+  it('終了した配信はキャッシュから消えても保持期間内は残し、過ぎたら削除する', () => {
+    const ended = liveEntry({
+      status: 'end',
+      actualStartTime: '2026-08-22T10:00:00Z',
+      actualEndTime: '2026-08-22T12:00:00Z'
+    });
+    const first = update({}, [ended]);
+
+    const second = update(first, [], new Date('2026-08-24T13:00:00Z'));
+    assert.deepEqual(second, first);
+
+    const third = update(first, [], new Date('2026-09-30T13:00:00Z'));
+    assert.deepEqual(third, {});
+  });
+});
+
+describe('escapeText / foldLine / formatICalDate', () => {
+  it('TEXT 値の特殊文字をエスケープする', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('75オクテットを超える行はマルチバイト文字の途中で分けずに折り返す', () => {
+    const line = `SUMMARY:${'あ'.repeat(40)}`;
+    const folded = foldLine(line);
+
+    for (const part of folded.split('\r\n')) {
+      assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+  });
+
+  it('UTC の日時形式に変換する', () => {
+    assert.equal(formatICalDate('2026-08-23T12:00:00Z'), '20260823T120000Z');
+  });
+});
+
+describe('buildICalendar', () => {
+  it('イベントを開始時刻順の VEVENT として出力する', () => {
+    const events = update({}, [
+      liveEntry({ videoId: 'laterA00001', scheduledStartTime: '2026-08-24T12:00:00Z' }),
+      liveEntry()
+    ]);
+    const ics = buildICalendar({ name: 'テスト', events, now: NOW });
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.deepEqual(
+      [...ics.matchAll(/^UID:(.+)$/gm)].map(match => match[1].trim()),
+      ['upcomingA01@stellartfan.com', 'laterA00001@stellartfan.com']
+    );
+    assert.match(ics, /DTSTART:20260823T120000Z\r\nDTEND:20260823T140000Z/);
+    assert.match(ics, /SUMMARY:【天硝路ろまん】雑談配信/);
+  });
+});
@@ -0,0 +1,367 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildLiveCache,
+  classifyLiveStatus,
+  createLiveEntry,
+  getExcludeIds,
+  getFreechatIds,
+  getResolvedChannelId,
+  isMembersOnly,
+  selectCandidateIds
+} from '../scripts/lib/live_cache.js';
+import { getCollabKeywords } from '../scripts/lib/collab.js';
+import { loadFixture } from './helpers/mock_youtube_server.js';
+
+const NOW = new Date('2026-08-22T13:00:00Z');
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const CHANNELS = {
+  channelA: {
+    channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g',
+    channelName: '天硝路ろまん',
+    freechatVideoId: 'k0g-C_oCYb0',
+    excludeVideoIds: ['kX5GOU7-uSE']
+  },
+  channelB: {
+    channelId: 'UCFernrRmaCRoOjZ55pwNxpw',
+    channelName: '華鉈イオ',
+    freechatVideoId: 'foFBBmkRyf0',
+    excludeVideoIds: []
+  }
+};
+
+const fixture = loadFixture('channels');
+
+describe('classifyLiveStatus', () => {
+  it('開始済みで未終了なら live', () => {
+    const detail = { actualStartTime: '2026-08-22T12:00:00Z' };
+    assert.equal(classifyLiveStatus(detail, NOW, RETENTION_MS), 'live');
+  });
+
+  it('開始予定のみなら upcoming', () => {
+    const detail = { scheduledStartTime: '2026-08-23T13:00:00Z' };
+    assert.equal(classifyLiveStatus(detail, NOW, RETENTION_MS), 'upcoming');
+  });
+
+  it('保持期間内に終了していれば end', () => {
+    const detail = {
+      actualStartTime: '2026-08-22T09:00:00Z',
+      actualEndTime: '2026-08-22T11:00:00Z'
+    };
+    assert.equal(classifyLiveStatus(detail, NOW, RETENTION_MS), 'end');
+  });
+
+  it('保持期間を過ぎて終了していれば除外', () => {
+    const detail = {
+      actualStartTime: '2026-08-20T09:00:00Z',
+      actualEndTime: '2026-08-20T11:00:00Z'
+    };
+    assert.equal(classifyLiveStatus(detail, NOW, RETENTION_MS), null);
+  });
+
+  it('保持期間 0 なら終了済みは除外', () => {
+    const detail = {
+      actualStartTime: '2026-08-22T09:00:00Z',
+      actualEndTime: '2026-08-22T12:59:00Z'
+    };
+    assert.equal(classifyLiveStatus(detail, NOW, 0), null);
+  });
+
+  it('liveStreamingDetails を持たない動画（Shorts / 通常動画）は除外', () => {
+    assert.equal(classifyLiveStatus(undefined, NOW, RETENTION_MS), null);
+  });
+});
+
+describe('createLiveEntry', () => {
+  it('配信予定のエントリを生成する', () => {
+    const entry = createLiveEntry(fixture.videos.iNUUsNL6OfE, NOW, RETENTION_MS);
+
+    assert.deepEqual(entry, {
+      videoId: 'iNUUsNL6OfE',
+      title: fixture.videos.iNUUsNL6OfE.snippet.title,
+      thumbnail: 'https://i.ytimg.com/vi/iNUUsNL6OfE/hqdefault.jpg',
+      url: 'https://www.youtube.com/watch?v=iNUUsNL6OfE',
+      status: 'upcoming',
+      scheduledStartTime: '2026-08-23T13:00:00Z',
+      actualStartTime: null,
+      actualEndTime: null,
+      concurrentViewers: null,
+      viewCount: 0,
+      durationSeconds: null,
+      description: fixture.videos.iNUUsNL6OfE.snippet.description,
+      tags: ['天硝路ろまん', 'StellArt.', 'F1', '同時視聴'],
+      categoryId: '22',
+      defaultAudioLanguage: 'ja',
+      chatEnabled: true,
+      membersOnly: false
+    });
+  });
+
+  it('配信中のエントリは同時視聴者数を持つ', () => {
+    const entry = createLiveEntry(fixture.videos.liveStrmA01, NOW, RETENTION_MS);
+
+    assert.equal(entry.status, 'live');
+    assert.equal(entry.concurrentViewers, 321);
+    assert.equal(entry.viewCount, 1500);
+    assert.equal(entry.chatEnabled, true);
+  });
+
+  it('配信終了のエントリは開始・終了時刻を持つ', () => {
+    const item = {
+      id: 'endedNewA01',
+      snippet: { title: '終了した配信' },
+      liveStreamingDetails: {
+        scheduledStartTime: '2026-08-22T09:00:00Z',
+        actualStartTime: '2026-08-22T09:01:00Z',
+        actualEndTime: '2026-08-22T11:00:00Z'
+      }
+    };
+    const entry = createLiveEntry(item, NOW, RETENTION_MS);
+
+    assert.equal(entry.status, 'end');
+    assert.equal(entry.actualStartTime, '2026-08-22T09:01:00Z');
+    assert.equal(entry.actualEndTime, '2026-08-22T11:00:00Z');
+    assert.equal(entry.concurrentViewers, null);
+    // activeLiveChatId がなければチャットの有無は判定できない
+    assert.equal(entry.chatEnabled, null);
+  });
+
+  it('概要欄・タグはキャッシュを小さく保つため先頭のみ残す', () => {
+    const item = {
+      ...fixture.videos.iNUUsNL6OfE,
+      snippet: {
+        ...fixture.videos.iNUUsNL6OfE.snippet,
+        description: '🎮'.repeat(250),
+        tags: Array.from({ length: 15 }, (_, i) => `tag${i}`)
+      }
+    };
+    const entry = createLiveEntry(item, NOW, RETENTION_MS);
+
+    assert.equal(entry.description, '🎮'.repeat(200));
+    assert.equal(entry.tags.length, 10);
+    assert.equal(entry.tags[9], 'tag9');
+  });
+
+  it('終了した配信は長さを持ち、統計情報がなければ null', () => {
+    const item = {
+      id: 'endedNewA02',
+      snippet: { title: '終了した配信' },
+      contentDetails: { duration: 'PT1H59M30S' },
+      liveStreamingDetails: {
+        actualStartTime: '2026-08-22T09:01:00Z',
+        actualEndTime: '2026-08-22T11:00:00Z'
+      }
+    };
+    const entry = createLiveEntry(item, NOW, RETENTION_MS);
+
+    assert.equal(entry.durationSeconds, 7170);
+    assert.equal(entry.viewCount, null);
+    assert.equal(entry.defaultAudioLanguage, null);
+  });
+
+  it('Shorts は生成しない', () => {
+    assert.equal(createLiveEntry(fixture.videos.shortVidA01, NOW, RETENTION_MS), null);
+  });
+});
+
+describe('isMembersOnly', () => {
+  it('メンバー限定の語を含むタイトルを判定する', () => {
+    assert.equal(isMembersOnly('【メン限】まったり雑談'), true);
+    assert.equal(isMembersOnly('【メンバー限定】歌枠'), true);
+    assert.equal(isMembersOnly('【Members Only】Chatting'), true);
+    assert.equal(isMembersOnly('【ＭＥＭＢＥＲＳ　ＯＮＬＹ】雑談'), true);
+  });
+
+  it('含まないタイトルは false', () => {
+    assert.equal(isMembersOnly('【雑談】メンバーシップ特典の紹介'), false);
+  });
+});
+
+describe('getResolvedChannelId', () => {
+  const previousCache = {
+    secondary: {
+      official: { handle: '@StellArtOfficial', channelId: 'UCofficialChannelTest01', videos: [] }
+    }
+  };
+
+  it('前回同じ handle で求めたチャンネルIDを返す', () => {
+    assert.equal(
+      getResolvedChannelId(previousCache, 'official', { handle: '@StellArtOfficial' }),
+      'UCofficialChannelTest01'
+    );
+  });
+
+  it('handle を変更した・前回求めていない場合は null', () => {
+    assert.equal(getResolvedChannelId(previousCache, 'official', { handle: '@StellArtNew' }), null);
+    assert.equal(getResolvedChannelId(previousCache, 'rionection', { handle: '@RIONECTION' }), null);
+    assert.equal(getResolvedChannelId(null, 'official', { handle: '@StellArtOfficial' }), null);
+  });
+});
+
+describe('selectCandidateIds', () => {
+  const skipIds = new Set([...getFreechatIds(CHANNELS), ...getExcludeIds(CHANNELS)]);
+
+  it('フリーチャット・除外指定の動画を除く', () => {
+    const ids = selectCandidateIds(
+      ['liveStrmA01', 'k0g-C_oCYb0', 'kX5GOU7-uSE', 'foFBBmkRyf0'],
+      [],
+      skipIds
+    );
+    assert.deepEqual(ids, ['liveStrmA01']);
+  });
+
+  it('前回の配信予定・配信中を重複なく追加し、終了済みは追加しない', () => {
+    const ids = selectCandidateIds(
+      ['liveStrmA01'],
+      [
+        { videoId: 'liveStrmA01', status: 'live' },
+        { videoId: 'iNUUsNL6OfE', status: 'upcoming' },
+        { videoId: 'endedOldA01', status: 'end' }
+      ],
+      skipIds
+    );
+    assert.deepEqual(ids, ['liveStrmA01', 'iNUUsNL6OfE']);
+  });
+});
+
+describe('buildLiveCache', () => {
+  const videoDetailMap = new Map(Object.entries(fixture.videos));
+
+  it('チャンネルごとにエントリと取得状況を組み立てる', () => {
+    const result = buildLiveCache({
+      channels: CHANNELS,
+      candidateIdsMap: new Map([
+        ['channelA', ['liveStrmA01', 'iNUUsNL6OfE', 'shortVidA01', 'deletedVid1']],
+        ['channelB', []]
+      ]),
+      videoDetailMap,
+      channelErrors: new Map(),
+      previousCache: null,
+      now: NOW,
+      retentionMs: RETENTION_MS
+    });
+
+    assert.equal(result.updatedAt, NOW.toISOString());
+    assert.deepEqual(
+      result.channels.channelA.map(entry => [entry.videoId, entry.status]),
+      [['liveStrmA01', 'live'], ['iNUUsNL6OfE', 'upcoming']]
+    );
+    assert.deepEqual(result.channels.channelB, []);
+    assert.deepEqual(result.channelStatus.channelA, {
+      lastSuccessAt: NOW.toISOString(),
+      error: null
+    });
+  });
+
+  it('取得に失敗したチャンネルは前回のキャッシュを引き継ぐ', () => {
+    const previousCache = {
+      updatedAt: '2026-08-22T12:30:00Z',
+      channels: {
+        channelA: [],
+        channelB: [
+          { videoId: 'upcomingB01', status: 'upcoming', scheduledStartTime: '2026-08-23T12:00:00Z' },
+          { videoId: 'endedOldB01', status: 'end', actualEndTime: '2026-08-01T12:00:00Z' }
+        ]
+      },
+      channelStatus: {
+        channelB: { lastSuccessAt: '2026-08-22T12:30:00Z', error: null }
+      }
+    };
+    const error = Object.assign(new Error('quota'), { status: 403, reason: 'quotaExceeded' });
+
+    const result = buildLiveCache({
+      channels: CHANNELS,
+      candidateIdsMap: new Map([['channelA', []]]),
+      videoDetailMap,
+      channelErrors: new Map([['channelB', error]]),
+      previousCache,
+      now: NOW,
+      retentionMs: RETENTION_MS
+    });
+
+    assert.deepEqual(
+      result.channels.channelB.map(entry => entry.videoId),
+      ['upcomingB01']
+    );
+    assert.deepEqual(result.channelStatus.channelB, {
+      lastSuccessAt: '2026-08-22T12:30:00Z',
+      error: {
+        reason: 'quotaExceeded',
+        status: 403,
+        occurredAt: NOW.toISOString()
+      }
+    });
+  });
+
+  it('最大同時視聴者数は前回までの最大値と今回の値の大きい方を記録する', () => {
+    const buildWithPreviousPeak = peakConcurrentViewers => buildLiveCache({
+      channels: CHANNELS,
+      candidateIdsMap: new Map([['channelA', ['liveStrmA01', 'iNUUsNL6OfE']]]),
+      videoDetailMap,
+      channelErrors: new Map(),
+      previousCache: {
+        channels: { channelA: [{ videoId: 'liveStrmA01', status: 'live', peakConcurrentViewers }] }
+      },
+      now: NOW,
+      retentionMs: RETENTION_MS
+    }).channels.channelA;
+
+    assert.deepEqual(
+      buildWithPreviousPeak(500).map(entry => entry.peakConcurrentViewers),
+      [500, null]
+    );
+    assert.deepEqual(
+      buildWithPreviousPeak(100).map(entry => entry.peakConcurrentViewers),
+      [321, null]
+    );
+  });
+
+  it('関連チャンネルはメンバーが参加する配信のみ secondary に記録する', () => {
+    const secondaryChannels = {
+      official: { handle: '@StellArtOfficial', channelName: 'StellArt. 公式', role: 'official' }
+    };
+
+    const result = buildLiveCache({
+      channels: CHANNELS,
+      secondaryChannels,
+      candidateIdsMap: new Map([['official', ['officialC01', 'officialS01']]]),
+      videoDetailMap,
+      channelErrors: new Map(),
+      previousCache: null,
+      now: NOW,
+      retentionMs: RETENTION_MS,
+      collabKeywords: getCollabKeywords(CHANNELS, {})
+    });
+
+    assert.deepEqual(result.secondary.official, {
+      channelName: 'StellArt. 公式',
+      role: 'official',
+      handle: '@StellArtOfficial',
+      channelId: null,
+      videos: [{
+        videoId: 'officialC01',
+        title: '【StellArt.】1周年記念スペシャル【天硝路ろまん / 華鉈イオ】',
+        thumbnail: 'https://i.ytimg.com/vi/officialC01/hqdefault.jpg',
+        url: 'https://www.youtube.com/watch?v=officialC01',
+        status: 'upcoming',
+        scheduledStartTime: '2026-08-26T11:00:00Z',
+        actualStartTime: null,
+        actualEndTime: null,
+        concurrentViewers: null,
+        viewCount: null,
+        durationSeconds: null,
+        description: fixture.videos.officialC01.snippet.description,
+        tags: [],
+        categoryId: null,
+        defaultAudioLanguage: null,
+        chatEnabled: null,
+        membersOnly: false,
+        peakConcurrentViewers: null,
+        participants: ['channelA', 'channelB']
+      }]
+    });
+    assert.equal(result.channelStatus.official.error, null);
+    assert.equal('official' in result.channels, false);
+  });
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectScheduleChanges, mergeScheduleChanges } from '../scripts/lib/schedule_changes.js';
+import { cacheOf, liveEntry } from './helpers/live_cache_entries.js';
+
+const NOW = new Date('2026-08-22T13:00:00Z');
+
+describe('detectScheduleChanges', () => {
+  it('前回のキャッシュがなければ何も検出しない', () => {
+    assert.deepEqual(detectScheduleChanges(null, cacheOf([liveEntry()]), NOW), []);
+  });
+
+  it('新しい配信予定を announced として記録する', () => {
+    const changes = detectScheduleChanges(cacheOf([]), cacheOf([liveEntry()]), NOW);
+
+    assert.deepEqual(changes, [{
+      type: 'announced',
+      videoId: 'upcomingA01',
+      channelKey: 'channelA',
+      title: '雑談配信',
+      detectedAt: NOW.toISOString(),
+      before: null,
+      after: {
+        title: '雑談配信',
+        url: 'https://www.youtube.com/watch?v=upcomingA01',
+        thumbnail: 'https://i.ytimg.com/vi/upcomingA01/hqdefault.jpg',
+        scheduledStartTime: '2026-08-23T12:00:00Z'
+      }
+    }]);
+  });
+
+  it('開始予定時刻・タイトルの変更を記録する', () => {
+    const changes = detectScheduleChanges(
+      cacheOf([liveEntry()]),
+      cacheOf([liveEntry({ title: '【告知あり】雑談配信', scheduledStartTime: '2026-08-23T13:00:00Z' })]),
+      NOW
+    );
+
+    assert.deepEqual(
+      changes.map(change => [change.type, change.before, change.after]),
+      [
+        ['rescheduled', { scheduledStartTime: '2026-08-23T12:00:00Z' }, { scheduledStartTime: '2026-08-23T13:00:00Z' }],
+        ['retitled', { title: '雑談配信' }, { title: '【告知あり】雑談配信' }]
+      ]
+    );
+  });
+
+  it('配信予定のまま消えた枠を cancelled として記録し、終了済みが消えても記録しない', () => {
+    const ended = liveEntry({
+      videoId: 'endedA00001',
+      status: 'end',
+      actualStartTime: '2026-08-21T09:00:00Z',
+      actualEndTime: '2026-08-21T11:00:00Z'
+    });
+
+    const changes = detectScheduleChanges(cacheOf([liveEntry(), ended]), cacheOf([]), NOW);
+
+    assert.deepEqual(changes.map(change => [change.type, change.videoId]), [['cancelled', 'upcomingA01']]);
+    assert.equal(changes[0].after, null);
+    assert.equal(changes[0].before.scheduledStartTime, '2026-08-23T12:00:00Z');
+  });
+
+  it('配信予定から配信中になっただけでは記録しない', () => {
+    const changes = detectScheduleChanges(
+      cacheOf([liveEntry()]),
+      cacheOf([liveEntry({ status: 'live', actualStartTime: '2026-08-23T12:01:00Z' })]),
+      NOW
+    );
+
+    assert.deepEqual(changes, []);
+  });
+});
+
+describe('mergeScheduleChanges', () => {
+  it('新しい変更を先頭に追加し、保持期間を過ぎたものを取り除く', () => {
+    const merged = mergeScheduleChanges(
+      [
+        { videoId: 'recent00001', detectedAt: '2026-08-21T13:00:00Z' },
+        { videoId: 'expired0001', detectedAt: '2026-08-01T13:00:00Z' }
+      ],
+      [{ videoId: 'new00000001', detectedAt: NOW.toISOString() }],
+      NOW,
+      7 * 24 * 60 * 60 * 1000
+    );
+
+    assert.deepEqual(merged.map(change => change.videoId), ['new00000001', 'recent00001']);
+  });
+});
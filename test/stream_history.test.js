@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { appendStreamHistory } from '../scripts/lib/stream_history.js';
+import { endedEntry, liveEntry } from './helpers/live_cache_entries.js';
+
+/**
+ * appendStreamHistory を既定の引数で呼び出す
+ *
+ * @param {Object} params
+ * @returns {{ streams: Object[], added: Object[] }}
+ */
+function append({ previousStreams = [], previousCache = null, liveCache, videoDetailMap = new Map() }) {
+  return appendStreamHistory({ previousStreams, previousCache, liveCache, videoDetailMap });
+}
+
+describe('appendStreamHistory', () => {
+  it('前回から終了に変わった配信を開始時刻順に追記する', () => {
+    const previousCache = {
+      channels: {
+        channelA: [
+          liveEntry({ videoId: 'endedA02', status: 'live', actualStartTime: '2026-08-22T15:00:00Z' }),
+          liveEntry({ videoId: 'endedA01', status: 'live', actualStartTime: '2026-08-22T12:01:00Z' }),
+          liveEntry({ videoId: 'liveA01', status: 'live', actualStartTime: '2026-08-22T12:30:00Z' })
+        ]
+      }
+    };
+    const liveCache = {
+      channels: {
+        channelA: [
+          endedEntry({ videoId: 'endedA02', actualStartTime: '2026-08-22T15:00:00Z', actualEndTime: '2026-08-22T16:00:00Z' }),
+          endedEntry(),
+          liveEntry({ videoId: 'liveA01', status: 'live', actualStartTime: '2026-08-22T12:30:00Z' })
+        ],
+        // 前回の実行の後に始まって終わった配信
+        channelB: [
+          endedEntry({ videoId: 'endedB01', actualStartTime: '2026-08-22T13:00:00Z', peakConcurrentViewers: null })
+        ]
+      }
+    };
+
+    const { streams, added } = append({ previousCache, liveCache });
+
+    assert.deepEqual(streams, added);
+    assert.deepEqual(
+      streams.map(stream => [stream.videoId, stream.channelKey]),
+      [['endedA01', 'channelA'], ['endedB01', 'channelB'], ['endedA02', 'channelA']]
+    );
+    assert.deepEqual(streams[0], {
+      videoId: 'endedA01',
+      channelKey: 'channelA',
+      title: '雑談配信',
+      actualStartTime: '2026-08-22T12:01:00Z',
+      actualEndTime: '2026-08-22T14:00:00Z',
+      peakConcurrentViewers: 321
+    });
+    assert.equal(streams[1].peakConcurrentViewers, null);
+  });
+
+  it('前回から終了のまま残っている配信は記録しない', () => {
+    const liveCache = { channels: { channelA: [endedEntry()] } };
+
+    assert.deepEqual(append({ previousCache: liveCache, liveCache }).added, []);
+  });
+
+  it('保持期間外でキャッシュから消えた配信は、動画の詳細と前回の最大同時視聴者数で記録する', () => {
+    const previousCache = {
+      channels: {
+        channelA: [liveEntry({ videoId: 'endedA01', status: 'live', peakConcurrentViewers: 500 })]
+      }
+    };
+    const videoDetailMap = new Map([['endedA01', {
+      id: 'endedA01',
+      snippet: { title: '雑談配信（アーカイブ）' },
+      liveStreamingDetails: {
+        actualStartTime: '2026-08-22T12:01:00Z',
+        actualEndTime: '2026-08-22T14:00:00Z'
+      }
+    }]]);
+
+    const { added } = append({ previousCache, liveCache: { channels: { channelA: [] } }, videoDetailMap });
+
+    assert.deepEqual(added, [{
+      videoId: 'endedA01',
+      channelKey: 'channelA',
+      title: '雑談配信（アーカイブ）',
+      actualStartTime: '2026-08-22T12:01:00Z',
+      actualEndTime: '2026-08-22T14:00:00Z',
+      peakConcurrentViewers: 500
+    }]);
+  });
+
+  it('キャッシュから消えても、終了していない・詳細を取得できない配信は記録しない', () => {
+    const previousCache = {
+      channels: {
+        channelA: [liveEntry({ videoId: 'upcomingA01' }), liveEntry({ videoId: 'deletedA01', status: 'live' })]
+      }
+    };
+    const videoDetailMap = new Map([['upcomingA01', {
+      id: 'upcomingA01',
+      snippet: { title: '雑談配信' },
+      liveStreamingDetails: { scheduledStartTime: '2026-08-23T12:00:00Z' }
+    }]]);
+
+    assert.deepEqual(append({ previousCache, liveCache: { channels: { channelA: [] } }, videoDetailMap }).added, []);
+  });
+
+  it('記録済みの配信は追記せず、前回までの履歴はそのまま残す', () => {
+    const previousStreams = [
+      { videoId: 'oldA01', channelKey: 'channelA', actualStartTime: '2026-07-01T12:00:00Z', actualEndTime: '2026-07-01T13:00:00Z' },
+      { videoId: 'endedA01', channelKey: 'channelA', actualStartTime: '2026-08-22T12:01:00Z', actualEndTime: '2026-08-22T14:00:00Z' }
+    ];
+
+    const { streams, added } = append({ previousStreams, liveCache: { channels: { channelA: [endedEntry()] } } });
+
+    assert.deepEqual(streams, previousStreams);
+    assert.deepEqual(added, []);
+  });
+
+  it('開始前に中止した枠は記録しない', () => {
+    const liveCache = {
+      channels: { channelA: [endedEntry({ actualStartTime: null })] }
+    };
+
+    assert.deepEqual(append({ liveCache }).streams, []);
+  });
+});
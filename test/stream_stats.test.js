@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeStreamStats } from '../scripts/lib/stream_stats.js';
+
+const NOW = new Date('2026-08-29T00:00:00Z');
+
+const CHANNELS = {
+  channelA: { channelName: '天硝路ろまん' },
+  channelB: { channelName: '華鉈イオ' }
+};
+
+/**
+ * 配信履歴の配信を生成する
+ *
+ * @param {string} actualStartTime
+ * @param {number} hours - 配信時間（時間）
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function stream(actualStartTime, hours, overrides = {}) {
+  return {
+    videoId: `video-${actualStartTime}`,
+    channelKey: 'channelA',
+    title: '雑談配信',
+    actualStartTime,
+    actualEndTime: new Date(new Date(actualStartTime).getTime() + hours * 60 * 60 * 1000).toISOString(),
+    peakConcurrentViewers: null,
+    ...overrides
+  };
+}
+
+describe('computeStreamStats', () => {
+  const streams = [
+    // 8/15(土) 21:00 JST
+    stream('2026-08-15T12:00:00Z', 2, { peakConcurrentViewers: 300 }),
+    // 8/16(日) 23:00 JST
+    stream('2026-08-16T14:00:00Z', 1, { peakConcurrentViewers: 500 }),
+    // 8/22(土) 01:00 JST（前日の 25:00 として平均する）
+    stream('2026-08-21T16:00:00Z', 1.5),
+    // 8/22(土) 21:30 JST
+    stream('2026-08-22T12:30:00Z', 0.5),
+    // チャンネル定義にない配信は数えない
+    stream('2026-08-22T12:30:00Z', 1, { channelKey: 'unknown' })
+  ];
+
+  it('配信数・1週間あたりの配信数・合計時間・平均時間を集計する', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+
+    assert.deepEqual(Object.keys(stats), ['channelA', 'channelB']);
+    assert.equal(stats.channelA.channelName, '天硝路ろまん');
+    assert.equal(stats.channelA.streamCount, 4);
+    // 8/15 21:00 JST から 8/29 09:00 JST まで（13.5日）に4件
+    assert.equal(stats.channelA.streamsPerWeek, 2.1);
+    assert.equal(stats.channelA.totalHours, 5);
+    assert.equal(stats.channelA.averageDurationMinutes, 75);
+  });
+
+  it('平均開始時刻は深夜の配信を 24:00 以降として扱う', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+
+    // (21:00 + 23:00 + 25:00 + 21:30) / 4
+    assert.equal(stats.channelA.averageStartTime, '22:38');
+  });
+
+  it('曜日・開始時刻ごとの配信数と配信の多い曜日を集計する', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+
+    assert.deepEqual(stats.channelA.weekdayCounts, [1, 0, 0, 0, 0, 0, 3]);
+    assert.deepEqual(stats.channelA.busiestWeekdays, [6, 0]);
+    assert.equal(stats.channelA.heatmap[6][21], 2);
+    assert.equal(stats.channelA.heatmap[6][1], 1);
+    assert.equal(stats.channelA.heatmap[0][23], 1);
+    assert.equal(stats.channelA.heatmapMax, 2);
+  });
+
+  it('直近12週の ISO 週ごとの配信数を古い順に集計する', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+    const { weeklyCounts } = stats.channelA;
+
+    assert.equal(weeklyCounts.length, 12);
+    assert.deepEqual(weeklyCounts[0], { week: '2026-W24', startDate: '2026-06-08', count: 0 });
+    assert.deepEqual(weeklyCounts.slice(-3), [
+      { week: '2026-W33', startDate: '2026-08-10', count: 2 },
+      { week: '2026-W34', startDate: '2026-08-17', count: 2 },
+      { week: '2026-W35', startDate: '2026-08-24', count: 0 }
+    ]);
+    assert.equal(stats.channelA.weeklyCountMax, 2);
+  });
+
+  it('週は日本時間の月曜日 0時で区切り、年をまたぐ週は ISO 週の年で数える', () => {
+    const stats = computeStreamStats(
+      [
+        // 12/27(日) 23:30 JST
+        stream('2026-12-27T14:30:00Z', 1),
+        // 12/28(月) 00:30 JST
+        stream('2026-12-27T15:30:00Z', 1)
+      ],
+      CHANNELS,
+      new Date('2027-01-01T03:00:00Z')
+    );
+
+    assert.deepEqual(stats.channelA.weeklyCounts.slice(-2), [
+      { week: '2026-W52', startDate: '2026-12-21', count: 1 },
+      { week: '2026-W53', startDate: '2026-12-28', count: 1 }
+    ]);
+  });
+
+  it('最大同時視聴者数は記録のある配信のみで集計する', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+
+    assert.equal(stats.channelA.maxPeakViewers, 500);
+    assert.equal(stats.channelA.averagePeakViewers, 400);
+  });
+
+  it('配信のないメンバーは 0 件として返す', () => {
+    const stats = computeStreamStats(streams, CHANNELS, NOW);
+
+    assert.equal(stats.channelB.streamCount, 0);
+    assert.equal(stats.channelB.streamsPerWeek, 0);
+    assert.equal(stats.channelB.averageStartTime, null);
+    assert.deepEqual(stats.channelB.busiestWeekdays, []);
+    assert.equal(stats.channelB.heatmap.length, 7);
+    assert.equal(stats.channelB.weeklyCounts.length, 12);
+    assert.equal(stats.channelB.weeklyCountMax, 0);
+  });
+
+  it('数千件を超える配信履歴も集計できる', () => {
+    const manyStreams = Array.from({ length: 20000 }, (_, index) =>
+      stream(new Date(Date.UTC(2020, 0, 1, 12) + index * 6 * 60 * 60 * 1000).toISOString(), 1)
+    );
+
+    const stats = computeStreamStats(manyStreams, CHANNELS, NOW);
+
+    assert.equal(stats.channelA.streamCount, 20000);
+    assert.equal(stats.channelA.heatmap.flat().reduce((sum, count) => sum + count, 0), 20000);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CHANNELS, SECONDARY_CHANNELS } from '../scripts/config/channels.js';
+import { MEMBERS } from '../scripts/config/members.js';
+import {
+  findChannelConfigErrors,
+  findSecondaryChannelConfigErrors,
+  validateChannels
+} from '../scripts/lib/validate_channels.js';
+
+const CHANNELS_FIXTURE = {
+  channelA: {
+    channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g',
+    channelName: '天硝路ろまん',
+    freechatVideoId: 'k0g-C_oCYb0',
+    excludeVideoIds: []
+  }
+};
+
+const MEMBERS_FIXTURE = {
+  channelA: {
+    collabKeywords: ['@RomanTenshoji'],
+    sns: [{ label: 'YouTube', url: 'https://www.youtube.com/@RomanTenshoji' }]
+  }
+};
+
+describe('validateChannels', () => {
+  it('リポジトリのチャンネル定義はエラーにならない', () => {
+    assert.doesNotThrow(() => validateChannels(CHANNELS, SECONDARY_CHANNELS, MEMBERS));
+  });
+
+  it('関連チャンネルに公式とコラボ相手のユニットを定義している', () => {
+    const roles = Object.values(SECONDARY_CHANNELS).map(channel => channel.role);
+
+    assert.ok(roles.includes('official'));
+    assert.ok(roles.includes('partner'));
+  });
+
+  it('問題があれば一覧にして例外を投げる', () => {
+    assert.throws(
+      () => validateChannels({ channelA: { ...CHANNELS_FIXTURE.channelA, channelId: 'invalid' } }),
+      /チャンネル定義に問題があります\n {2}- channelA: channelId の形式が不正です \(invalid\)/
+    );
+  });
+});
+
+describe('findChannelConfigErrors', () => {
+  it('チャンネルIDの重複を検出する', () => {
+    const errors = findChannelConfigErrors({
+      ...CHANNELS_FIXTURE,
+      channelB: { ...CHANNELS_FIXTURE.channelA, channelName: '重複' }
+    });
+
+    assert.deepEqual(errors, ['channelB: channelId が channelA と重複しています (UCrxtv0Zc8uQNfsY0HsAGY8g)']);
+  });
+});
+
+describe('findSecondaryChannelConfigErrors', () => {
+  it('メンバーと同じハンドルの関連チャンネルを検出する（大文字・小文字は区別しない）', () => {
+    const errors = findSecondaryChannelConfigErrors(
+      { roman: { handle: '@romantenshoji', channelName: '天硝路ろまん', role: 'partner' } },
+      CHANNELS_FIXTURE,
+      MEMBERS_FIXTURE
+    );
+
+    assert.deepEqual(errors, ['roman: handle が channelA と重複しています (@romantenshoji)']);
+  });
+
+  it('関連チャンネル同士のハンドルの重複を検出する', () => {
+    const errors = findSecondaryChannelConfigErrors(
+      {
+        official: { handle: '@StellArtOfficial', channelName: 'StellArt. 公式', role: 'official' },
+        official2: { handle: '@StellArtOfficial', channelName: 'StellArt. 公式', role: 'partner' }
+      },
+      CHANNELS_FIXTURE,
+      MEMBERS_FIXTURE
+    );
+
+    assert.deepEqual(errors, ['official2: handle が official と重複しています (@StellArtOfficial)']);
+  });
+
+  it('メンバーと同じチャンネルID・チャンネルキーを検出する', () => {
+    const errors = findSecondaryChannelConfigErrors(
+      { channelA: { channelId: 'UCrxtv0Zc8uQNfsY0HsAGY8g', channelName: '天硝路ろまん', role: 'partner' } },
+      CHANNELS_FIXTURE
+    );
+
+    assert.deepEqual(errors, [
+      'channelA: メンバーのチャンネルキーと重複しています',
+      'channelA: channelId が channelA と重複しています (UCrxtv0Zc8uQNfsY0HsAGY8g)'
+    ]);
+  });
+
+  it('role・チャンネルの指定が不正なものを検出する', () => {
+    const errors = findSecondaryChannelConfigErrors(
+      { unit: { channelName: 'ユニット', role: 'friend' } },
+      CHANNELS_FIXTURE
+    );
+
+    assert.deepEqual(errors, [
+      'unit: role は official / partner のいずれかを指定してください (friend)',
+      'unit: channelId か handle が設定されていません'
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import {
+  addPendingEvents,
+  buildDiscordPayload,
+  buildJsonPayload,
+  detectNotifyEvents,
+  notifyWebhooks,
+  pruneSentEvents
+} from '../scripts/lib/webhooks.js';
+import { cacheOf, liveEntry } from './helpers/live_cache_entries.js';
+import { startWebhookReceiver } from './helpers/webhook_receiver.js';
+
+const NOW = new Date('2026-08-22T13:00:00Z');
+
+const CHANNELS = {
+  channelA: { channelName: '天硝路ろまん' }
+};
+
+const MEMBERS = {
+  channelA: { color: '#5b5b95' }
+};
+
+const WEBHOOKS = [
+  { name: 'discord', format: 'discord', urlEnv: 'DISCORD_WEBHOOK_URL', events: ['live', 'upcoming'] },
+  { name: 'generic', format: 'json', urlEnv: 'GENERIC_WEBHOOK_URL', events: ['live'] }
+];
+
+const LIVE_EVENT = detectNotifyEvents(
+  cacheOf([liveEntry()]),
+  cacheOf([liveEntry({ status: 'live', actualStartTime: '2026-08-23T12:01:00Z' })]),
+  CHANNELS,
+  MEMBERS
+)[0];
+
+describe('detectNotifyEvents', () => {
+  it('前回のキャッシュがなければ通知しない', () => {
+    assert.deepEqual(detectNotifyEvents(null, cacheOf([liveEntry()]), CHANNELS, MEMBERS), []);
+  });
+
+  it('配信開始と新しい配信予定枠を検出する', () => {
+    const events = detectNotifyEvents(
+      cacheOf([liveEntry()]),
+      cacheOf([
+        liveEntry({ status: 'live', actualStartTime: '2026-08-23T12:01:00Z' }),
+        liveEntry({ videoId: 'upcomingA02' }),
+        liveEntry({ videoId: 'liveNewA001', status: 'live', actualStartTime: '2026-08-22T12:50:00Z' })
+      ]),
+      CHANNELS,
+      MEMBERS
+    );
+
+    assert.deepEqual(
+      events.map(event => event.id),
+      ['live:upcomingA01', 'upcoming:upcomingA02', 'live:liveNewA001']
+    );
+    assert.equal(events[0].channelName, '天硝路ろまん');
+    assert.equal(events[0].color, '#5b5b95');
+  });
+
+  it('状態が変わらない枠・終了した枠は通知しない', () => {
+    const events = detectNotifyEvents(
+      cacheOf([liveEntry(), liveEntry({ videoId: 'liveA000001', status: 'live' })]),
+      cacheOf([
+        liveEntry(),
+        liveEntry({ videoId: 'liveA000001', status: 'end', actualEndTime: '2026-08-22T12:00:00Z' })
+      ]),
+      CHANNELS,
+      MEMBERS
+    );
+
+    assert.deepEqual(events, []);
+  });
+});
+
+describe('buildDiscordPayload / buildJsonPayload', () => {
+  it('Discord の埋め込み形式に変換する', () => {
+    const payload = buildDiscordPayload(LIVE_EVENT);
+
+    assert.equal(payload.content, '【配信開始】天硝路ろまん');
+    assert.deepEqual(payload.allowed_mentions, { parse: [] });
+    assert.equal(payload.embeds[0].title, '雑談配信');
+    assert.equal(payload.embeds[0].url, 'https://www.youtube.com/watch?v=upcomingA01');
+    assert.equal(payload.embeds[0].description, '開始：2026/8/23 21:01:00（JST）');
+    assert.equal(payload.embeds[0].color, 0x5b5b95);
+  });
+
+  it('汎用 JSON 形式に変換する', () => {
+    const payload = buildJsonPayload(LIVE_EVENT, NOW);
+
+    assert.equal(payload.event, 'live_start');
+    assert.equal(payload.sentAt, NOW.toISOString());
+    assert.deepEqual(payload.channel, { key: 'channelA', name: '天硝路ろまん' });
+    assert.equal(payload.video.videoId, 'upcomingA01');
+  });
+});
+
+describe('notifyWebhooks', () => {
+  let receiver;
+
+  afterEach(async () => {
+    await receiver?.close();
+  });
+
+  it('URL が設定された Webhook にだけ送り、送信済みのイベントは再送しない', async () => {
+    receiver = await startWebhookReceiver();
+    const env = { DISCORD_WEBHOOK_URL: `${receiver.url}/discord` };
+
+    const { sent, pending } = await notifyWebhooks({ webhooks: WEBHOOKS, events: [LIVE_EVENT], sent: {}, env, now: NOW });
+    assert.deepEqual(sent, { 'discord:live:upcomingA01': NOW.toISOString() });
+    assert.deepEqual(pending, []);
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(receiver.requests[0].path, '/discord');
+    assert.equal(receiver.requests[0].body.content, '【配信開始】天硝路ろまん');
+
+    await notifyWebhooks({ webhooks: WEBHOOKS, events: [LIVE_EVENT], sent, env, now: NOW });
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it('Webhook ごとに対象のイベントだけを送る', async () => {
+    receiver = await startWebhookReceiver();
+    const env = { GENERIC_WEBHOOK_URL: `${receiver.url}/generic` };
+    const upcomingEvent = { ...LIVE_EVENT, id: 'upcoming:upcomingA02', type: 'upcoming', videoId: 'upcomingA02' };
+
+    const { sent } = await notifyWebhooks({
+      webhooks: WEBHOOKS,
+      events: [LIVE_EVENT, upcomingEvent],
+      sent: {},
+      env,
+      now: NOW
+    });
+
+    assert.deepEqual(Object.keys(sent), ['generic:live:upcomingA01']);
+    assert.deepEqual(receiver.requests.map(request => request.body.event), ['live_start']);
+  });
+
+  it('送信に失敗したイベントは送信済みにせず、再送用に返す', async () => {
+    receiver = await startWebhookReceiver([500]);
+    const env = { DISCORD_WEBHOOK_URL: receiver.url };
+
+    const first = await notifyWebhooks({ webhooks: WEBHOOKS, events: [LIVE_EVENT], sent: {}, env, now: NOW });
+
+    assert.deepEqual(first.sent, {});
+    assert.deepEqual(first.pending, [LIVE_EVENT]);
+    assert.equal(receiver.requests.length, 1);
+
+    // 次回の実行では前回のキャッシュとの差分に現れないため、再送用のイベントから送る
+    const liveCache = cacheOf([liveEntry({ status: 'live', actualStartTime: '2026-08-23T12:01:00Z' })]);
+    const events = addPendingEvents(detectNotifyEvents(liveCache, liveCache, CHANNELS, MEMBERS), first.pending, liveCache);
+    const second = await notifyWebhooks({ webhooks: WEBHOOKS, events, sent: first.sent, env, now: NOW });
+
+    assert.deepEqual(second.sent, { 'discord:live:upcomingA01': NOW.toISOString() });
+    assert.deepEqual(second.pending, []);
+    assert.equal(receiver.requests.length, 2);
+  });
+});
+
+describe('addPendingEvents', () => {
+  it('同じ状態が続いている枠のイベントのみ、重複を除いて先頭に加える', () => {
+    const upcomingEvent = { ...LIVE_EVENT, id: 'upcoming:upcomingA02', type: 'upcoming', videoId: 'upcomingA02' };
+    const endedEvent = { ...LIVE_EVENT, id: 'live:endedA0001', videoId: 'endedA0001' };
+    const liveCache = cacheOf([
+      liveEntry({ status: 'live' }),
+      liveEntry({ videoId: 'upcomingA02' }),
+      liveEntry({ videoId: 'endedA0001', status: 'end' })
+    ]);
+
+    const events = addPendingEvents([upcomingEvent], [LIVE_EVENT, upcomingEvent, endedEvent], liveCache);
+
+    assert.deepEqual(events.map(event => event.id), ['live:upcomingA01', 'upcoming:upcomingA02']);
+  });
+});
+
+describe('pruneSentEvents', () => {
+  it('保持期間を過ぎた送信済みのキーを取り除く', () => {
+    const pruned = pruneSentEvents(
+      {
+        'discord:live:recent00001': '2026-08-21T13:00:00Z',
+        'discord:live:expired0001': '2026-08-01T13:00:00Z'
+      },
+      NOW,
+      7 * 24 * 60 * 60 * 1000
+    );
+
+    assert.deepEqual(Object.keys(pruned), ['discord:live:recent00001']);
+  });
+});